@@ -0,0 +1,144 @@
+/**
+ * Citation metadata and formats — the one place the manifesto's author, publisher
+ * and publication date are written down.
+ *
+ * page.ejs (meta tags, JSON-LD), llms.txt, the content API, the EPUB and the
+ * /:lang/cite page all read WORK. citation() adds what differs per language (the
+ * localized title and URL, the language's quotation marks); the formatters turn
+ * that into APA, MLA and Chicago strings and into BibTeX, RIS and CSL-JSON files.
+ *
+ * Formatted strings are HTML with the italic title in <cite>; toText() and
+ * toMarkdown() in lib/manifesto.js give the plain forms.
+ */
+
+const { escapeHtml } = require('./manifesto');
+
+const SITE = 'https://generatywnie.com';
+
+const WORK = {
+  author: { given: 'Szymon P.', family: 'Pepliński', name: 'Szymon P. Pepliński', url: SITE },
+  publisher: { name: 'Generatywnie', url: SITE },
+  published: '2025-01-01'
+};
+
+// lang: loaded tag; title: localized full title; quotes: [open, close] from the manifest
+function citation({ lang, slug, title, quotes }) {
+  return {
+    key: `peplinski${WORK.published.slice(0, 4)}${slug.replace(/-/g, '')}`,
+    lang,
+    title,
+    quotes,
+    url: `${SITE}/${slug}/`,
+    year: WORK.published.slice(0, 4)
+  };
+}
+
+// ── formatted styles ──
+
+// "Title." — American usage puts the period inside the quotation marks
+function quotedTitle(c) {
+  const [open, close] = c.quotes;
+  const title = escapeHtml(c.title);
+  return c.lang === 'en' ? `${open}${title}.${close}` : `${open}${title}${close}.`;
+}
+
+// APA 7, web page: Family, I. I. (Year). <i>Title</i>. Site. URL
+function apa(c) {
+  const initials = WORK.author.given.split(/\s+/).map(name => `${name[0]}.`).join(' ');
+  return `${escapeHtml(WORK.author.family)}, ${initials} (${c.year}). <cite>${escapeHtml(c.title)}</cite>. ${escapeHtml(WORK.publisher.name)}. ${escapeHtml(c.url)}`;
+}
+
+// MLA 9: Family, Given. "Title." <i>Container</i>, Year, url-without-scheme.
+function mla(c) {
+  const url = c.url.replace(/^https?:\/\//, '');
+  return `${escapeHtml(WORK.author.family)}, ${escapeHtml(WORK.author.given)} ${quotedTitle(c)} <cite>${escapeHtml(WORK.publisher.name)}</cite>, ${c.year}, ${escapeHtml(url)}.`;
+}
+
+// Chicago 17, notes-bibliography: Family, Given. "Title." Site, Year. URL
+function chicago(c) {
+  return `${escapeHtml(WORK.author.family)}, ${escapeHtml(WORK.author.given)} ${quotedTitle(c)} ${escapeHtml(WORK.publisher.name)}, ${c.year}. ${escapeHtml(c.url)}`;
+}
+
+const STYLES = { apa: 'APA', mla: 'MLA', chicago: 'Chicago' };
+const FORMATTERS = { apa, mla, chicago };
+
+// { apa, mla, chicago } as HTML
+function formatted(c) {
+  const out = {};
+  for (const style of Object.keys(STYLES)) out[style] = FORMATTERS[style](c);
+  return out;
+}
+
+// ── reference manager files ──
+
+function bibtexValue(text) {
+  return String(text).replace(/[\\{}%&$#_~^]/g, ch => `\\${ch}`);
+}
+
+// biblatex langid takes babel/polyglossia language names, not BCP-47 tags
+const BABEL_LANGUAGES = {
+  de: 'german', en: 'english', es: 'spanish', fr: 'french',
+  it: 'italian', ja: 'japanese', pl: 'polish', pt: 'portuguese'
+};
+
+// biblatex @online; langid only when the language has a babel name
+function bibtex(c) {
+  const langid = BABEL_LANGUAGES[c.lang.split('-')[0].toLowerCase()];
+  const fields = [
+    ['author', `${WORK.author.family}, ${WORK.author.given}`],
+    ['title', c.title],
+    ['organization', WORK.publisher.name],
+    ['date', WORK.published],
+    ['url', c.url],
+    ...(langid ? [['langid', langid]] : [])
+  ];
+  const body = fields.map(([name, value]) => `  ${name} = {${name === 'url' ? value : bibtexValue(value)}}`);
+  return `@online{${c.key},\n${body.join(',\n')}\n}\n`;
+}
+
+// RIS lines end in CRLF, and the record with "ER  - "
+function ris(c) {
+  const [year, month, day] = WORK.published.split('-');
+  const lines = [
+    ['TY', 'ELEC'],
+    ['AU', `${WORK.author.family}, ${WORK.author.given}`],
+    ['TI', c.title],
+    ['PY', year],
+    ['DA', `${year}/${month}/${day}`],
+    ['PB', WORK.publisher.name],
+    ['UR', c.url],
+    ['LA', c.lang],
+    ['ER', '']
+  ];
+  return lines.map(([tag, value]) => `${tag}  - ${value}`).join('\r\n') + '\r\n';
+}
+
+function cslJson(c) {
+  return JSON.stringify([{
+    id: c.key,
+    type: 'webpage',
+    title: c.title,
+    author: [{ family: WORK.author.family, given: WORK.author.given }],
+    issued: { 'date-parts': [WORK.published.split('-').map(Number)] },
+    'container-title': WORK.publisher.name,
+    publisher: WORK.publisher.name,
+    URL: c.url,
+    language: c.lang
+  }], null, 2) + '\n';
+}
+
+// /:lang/cite.<ext> downloads
+const FILES = {
+  bib: { label: 'BibTeX', type: 'application/x-bibtex; charset=utf-8', render: bibtex },
+  ris: { label: 'RIS', type: 'application/x-research-info-systems; charset=utf-8', render: ris },
+  json: { label: 'CSL-JSON', type: 'application/vnd.citationstyles.csl+json; charset=utf-8', render: cslJson }
+};
+
+module.exports = {
+  SITE,
+  WORK,
+  STYLES,
+  FILES,
+  citation,
+  formatted
+};
@@ -0,0 +1,154 @@
+/**
+ * Content Security Policy — hash-based, with violation reporting.
+ *
+ * Pages are rendered ahead of time and cached (server.js), so instead of a
+ * per-request nonce each inline <script> and <style> is allowed by the sha256 of
+ * its exact text, and a shared cache can hand the same response to everyone.
+ *
+ * Only the template's own blocks are hashed. Each render gets a fresh marker that
+ * the templates put on their blocks (<script<%- inline %>>); blocks without it came
+ * in with content — a locale value, say — and are left out of the policy, so the
+ * browser blocks them. The marker is stripped before the page is cached.
+ *
+ * Violations are reported to REPORT_PATH (report-uri and report-to). To try a
+ * policy change, put it in CANDIDATE and start with CSP_REPORT_ONLY=1: it is sent
+ * as Content-Security-Policy-Report-Only next to the enforced policy, and its
+ * reports arrive with disposition "report".
+ *
+ * Shared by server.js and scripts/export.js.
+ */
+
+const crypto = require('crypto');
+
+const REPORT_PATH = '/csp-report';
+const REPORT_GROUP = 'csp';
+
+// directive → value overrides for the report-only candidate, e.g.
+// { 'img-src': "'self' data:" } to see what dropping the OG image host would break
+const CANDIDATE = {};
+
+function sha256Source(text) {
+  return `'sha256-${crypto.createHash('sha256').update(text, 'utf8').digest('base64')}'`;
+}
+
+// a fresh marker per render, as the attribute templates put on their inline blocks
+function inlineMarker() {
+  return ` data-inline="${crypto.randomBytes(12).toString('base64url')}"`;
+}
+
+// hashes of the inline blocks carrying `marker`; <script src> needs no hash.
+// → { html: without the marker, hashes, unmarked: inline blocks left unhashed }
+function inlineHashes(html, marker) {
+  const hashes = { script: [], style: [] };
+  let unmarked = 0;
+  const blockRe = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+  let m;
+  while ((m = blockRe.exec(html))) {
+    if (m[1] === 'script' && /\ssrc=/.test(m[2])) continue;
+    if (!m[2].includes(marker)) {
+      unmarked++;
+      continue;
+    }
+    const source = sha256Source(m[3]);
+    if (!hashes[m[1]].includes(source)) hashes[m[1]].push(source);
+  }
+  return { html: html.split(marker).join(''), hashes, unmarked };
+}
+
+// the site's policy; without hashes nothing inline runs
+function contentSecurityPolicy(hashes = { script: [], style: [] }, overrides = {}) {
+  const directives = {
+    'default-src': "'none'",
+    'script-src': hashes.script.join(' ') || "'none'",
+    'style-src': hashes.style.join(' ') || "'none'",
+    'font-src': "'self'",
+    'connect-src': "'self'",
+    'img-src': "'self' data: https://generatywnie.com",
+    'base-uri': "'self'",
+    'form-action': "'none'",
+    'upgrade-insecure-requests': '',
+    'report-uri': REPORT_PATH,
+    'report-to': REPORT_GROUP,
+    ...overrides
+  };
+  return Object.entries(directives)
+    .map(([name, value]) => (value ? `${name} ${value}` : name))
+    .join('; ');
+}
+
+function candidatePolicy(hashes) {
+  return contentSecurityPolicy(hashes, CANDIDATE);
+}
+
+// ── violation reports ──
+
+const DIRECTIVES = new Set([
+  'default-src', 'script-src', 'script-src-elem', 'script-src-attr', 'style-src',
+  'style-src-elem', 'style-src-attr', 'font-src', 'connect-src', 'img-src', 'media-src',
+  'object-src', 'frame-src', 'child-src', 'worker-src', 'manifest-src', 'base-uri',
+  'form-action', 'frame-ancestors', 'require-trusted-types-for', 'trusted-types'
+]);
+const KEYWORDS = new Set(['inline', 'eval', 'wasm-eval', 'trusted-types-policy', 'trusted-types-sink', 'self']);
+
+// http(s)://host[:port] with a plain hostname or IP — what a metric label may hold
+const ORIGIN_RE = /^(?:https?|wss?):\/\/(?:[a-z0-9-]+(?:\.[a-z0-9-]+)*|\[[0-9a-f:.]+\])(?::\d{1,5})?$/;
+const WEB_SCHEMES = new Set(['http:', 'https:', 'ws:', 'wss:']);
+
+// what was blocked, reduced to something safe to aggregate: a keyword, a bare
+// scheme (data, blob, chrome-extension — an extension's id would point at the
+// visitor), a web origin or, for anything else, 'other' — never a full URL with
+// path or query
+function blockedSource(value) {
+  if (typeof value !== 'string' || value === '') return 'inline';
+  if (KEYWORDS.has(value)) return value;
+  if (/^[a-z][a-z0-9+.-]*$/i.test(value)) return value.toLowerCase();
+  try {
+    const url = new URL(value);
+    if (!WEB_SCHEMES.has(url.protocol)) return url.protocol.slice(0, -1);
+    return ORIGIN_RE.test(url.origin) ? url.origin : 'other';
+  } catch {
+    return null;
+  }
+}
+
+function violation(disposition, directive, blocked) {
+  const name = typeof directive === 'string' ? directive.split(' ')[0] : '';
+  const source = blockedSource(blocked);
+  if (!DIRECTIVES.has(name) || !source) return null;
+  return {
+    disposition: disposition === 'report' ? 'report' : 'enforce',
+    directive: name,
+    blocked: source
+  };
+}
+
+// valid violations from a report-uri body ({ "csp-report": … }) or a Reporting API
+// batch ([{ type: "csp-violation", body: … }]); anything unrecognized is dropped
+function parseReports(body, maxReports) {
+  const items = Array.isArray(body) ? body.slice(0, maxReports) : [body];
+  const out = [];
+  for (const item of items) {
+    if (!item || typeof item !== 'object') continue;
+    let v = null;
+    if (item['csp-report'] && typeof item['csp-report'] === 'object') {
+      const r = item['csp-report'];
+      v = violation(r.disposition, r['effective-directive'] || r['violated-directive'], r['blocked-uri']);
+    } else if (item.type === 'csp-violation' && item.body && typeof item.body === 'object') {
+      const r = item.body;
+      v = violation(r.disposition, r.effectiveDirective, r.blockedURL);
+    }
+    if (v) out.push(v);
+  }
+  return out;
+}
+
+module.exports = {
+  REPORT_PATH,
+  REPORT_GROUP,
+  sha256Source,
+  inlineMarker,
+  inlineHashes,
+  contentSecurityPolicy,
+  candidatePolicy,
+  parseReports
+};
@@ -0,0 +1,185 @@
+/**
+ * EPUB 3 — the manifesto as an e-book, packaged in memory (lib/zip.js).
+ *
+ * Built from the content API's data (server.js manifestoData), so the book has the
+ * same sections, text and fallback marking as the page: a title page, the
+ * navigation document, one XHTML chapter per section and the bibliography.
+ *
+ * Follows the structural rules epubcheck enforces: mimetype first and stored,
+ * container.xml pointing at the package document, a unique identifier and
+ * dcterms:modified, every content document in the manifest, well-formed XHTML
+ * with no HTML-only entities.
+ */
+
+const { zip } = require('./zip');
+const { formatReference } = require('./references');
+const { escapeHtml } = require('./manifesto');
+
+const XHTML = 'application/xhtml+xml';
+
+// sanitized locale markup as XML: &nbsp; is the only entity it can hold that XML lacks
+function markup(html) {
+  return html.replace(/&nbsp;/g, '&#160;');
+}
+
+// lang attributes for a block that fell back to English
+function langAttrs(block, dir) {
+  if (!block.lang) return '';
+  return ` xml:lang="${block.lang}" lang="${block.lang}"${dir === 'rtl' ? ' dir="ltr"' : ''}`;
+}
+
+function xhtmlDocument(book, title, body) {
+  const { tag, dir } = book.language;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${tag}" lang="${tag}" dir="${dir}">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+const STYLE = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1 { font-size: 1.6em; line-height: 1.2; margin: 2em 0 1em; }
+.number { display: block; font-family: monospace; font-size: 0.6em; font-weight: normal; letter-spacing: 0.1em; }
+p { margin: 0 0 1em; text-align: start; }
+blockquote { margin: 1.5em 0; padding-inline-start: 1em; border-inline-start: 2px solid currentColor; font-style: italic; }
+.titlepage { margin-top: 30%; text-align: center; }
+.titlepage h1 { font-size: 2.2em; margin: 0 0 0.5em; }
+.subtitle, .author { margin: 0 0 1.5em; }
+.references li { margin-bottom: 0.5em; }
+nav ol { list-style: none; padding: 0; }
+`;
+
+function chapterFile(section) {
+  return `${section.id}.xhtml`;
+}
+
+function titlePage(book) {
+  return xhtmlDocument(book, book.title.text, `<section epub:type="titlepage" class="titlepage">
+<h1${langAttrs(book.title, book.language.dir)}>${markup(book.title.html)}</h1>
+<p class="subtitle"${langAttrs(book.subtitle, book.language.dir)}>${markup(book.subtitle.html)}</p>
+<p class="author">${escapeHtml(book.author)}</p>
+</section>`);
+}
+
+function chapter(book, section) {
+  const dir = book.language.dir;
+  const blocks = section.blocks.map(block => (block.type === 'blockquote'
+    ? `<blockquote id="${block.id}"${langAttrs(block, dir)}><p>${markup(block.html)}</p></blockquote>`
+    : `<p id="${block.id}"${langAttrs(block, dir)}>${markup(block.html)}</p>`));
+
+  return xhtmlDocument(book, section.title.text, `<section epub:type="chapter" id="${section.id}">
+<h1${langAttrs(section.title, dir)}><span class="number">${section.number}</span>${markup(section.title.html)}</h1>
+${blocks.join('\n')}
+</section>`);
+}
+
+function referencesPage(book, labels) {
+  const dir = book.language.dir === 'rtl' ? ' dir="ltr"' : '';
+  const items = book.bibliography.map(ref => `<li xml:lang="${ref.lang}" lang="${ref.lang}"${dir}>${markup(formatReference(ref))}</li>`);
+  return xhtmlDocument(book, labels.references, `<section epub:type="bibliography" class="references">
+<h1>${escapeHtml(labels.references)}</h1>
+<ul>
+${items.join('\n')}
+</ul>
+</section>`);
+}
+
+function navDocument(book, labels) {
+  const entries = [
+    ['title.xhtml', book.title.text],
+    ...book.sections.map(s => [chapterFile(s), `${s.number}. ${s.title.text}`]),
+    ['references.xhtml', labels.references]
+  ];
+  const links = entries.map(([href, text]) => `<li><a href="${href}">${escapeHtml(text)}</a></li>`);
+
+  return xhtmlDocument(book, labels.contents, `<nav epub:type="toc" id="toc">
+<h1>${escapeHtml(labels.contents)}</h1>
+<ol>
+${links.join('\n')}
+</ol>
+</nav>
+<nav epub:type="landmarks" hidden="hidden">
+<ol>
+<li><a epub:type="toc" href="nav.xhtml">${escapeHtml(labels.contents)}</a></li>
+<li><a epub:type="bodymatter" href="${chapterFile(book.sections[0])}">${escapeHtml(book.sections[0].title.text)}</a></li>
+<li><a epub:type="bibliography" href="references.xhtml">${escapeHtml(labels.references)}</a></li>
+</ol>
+</nav>`);
+}
+
+// dcterms:modified wants CCYY-MM-DDThh:mm:ssZ, without milliseconds
+function epubDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function packageDocument(book, items) {
+  const { tag, dir } = book.language;
+  const manifest = items.map(item => `    <item id="${item.id}" href="${item.href}" media-type="${item.type}"${item.properties ? ` properties="${item.properties}"` : ''}/>`);
+  const spine = items.filter(item => item.type === XHTML).map(item => `    <itemref idref="${item.id}"/>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="${tag}" dir="${dir}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="uid">${escapeHtml(book.url)}</dc:identifier>
+    <dc:title id="title">${escapeHtml(book.title.text)}</dc:title>
+    <meta refines="#title" property="title-type">main</meta>
+    <dc:title id="subtitle">${escapeHtml(book.subtitle.text)}</dc:title>
+    <meta refines="#subtitle" property="title-type">subtitle</meta>
+    <dc:creator id="author">${escapeHtml(book.author)}</dc:creator>
+    <meta refines="#author" property="role" scheme="marc:relators">aut</meta>
+    <dc:language>${tag}</dc:language>
+    <dc:publisher>${escapeHtml(book.publisher)}</dc:publisher>
+    <dc:date>${book.published}</dc:date>
+    <dc:source>${escapeHtml(book.url)}</dc:source>
+    <meta property="dcterms:modified">${epubDate(book.modified)}</meta>
+  </metadata>
+  <manifest>
+${manifest.join('\n')}
+  </manifest>
+  <spine${dir === 'rtl' ? ' page-progression-direction="rtl"' : ''}>
+${spine.join('\n')}
+  </spine>
+</package>
+`;
+}
+
+const CONTAINER = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+// book: manifestoData() output, with book.modified as a Date
+// labels: { contents, references } — headings in the book's language
+function buildEpub(book, labels) {
+  const files = [
+    { id: 'titlepage', href: 'title.xhtml', type: XHTML, data: titlePage(book) },
+    { id: 'nav', href: 'nav.xhtml', type: XHTML, properties: 'nav', data: navDocument(book, labels) },
+    ...book.sections.map(section => ({
+      id: `s${section.number}`, href: chapterFile(section), type: XHTML, data: chapter(book, section)
+    })),
+    { id: 'references', href: 'references.xhtml', type: XHTML, data: referencesPage(book, labels) },
+    { id: 'style', href: 'style.css', type: 'text/css', data: STYLE }
+  ];
+
+  return zip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: CONTAINER },
+    { name: 'OEBPS/content.opf', data: packageDocument(book, files) },
+    ...files.map(file => ({ name: `OEBPS/${file.href}`, data: file.data }))
+  ], book.modified);
+}
+
+module.exports = {
+  buildEpub
+};
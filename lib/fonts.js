@@ -0,0 +1,57 @@
+/**
+ * Self-hosted fonts — @font-face rules for a page's variant.
+ *
+ * public/fonts/faces.json is written by scripts/fonts.js: per language tag, per
+ * family, the subsetted WOFF2 files with their style, weight and unicode-range.
+ * Only the families the variant drew are emitted, and each file only downloads
+ * when the page actually shows one of its characters.
+ *
+ * A locale without built subsets still renders, in the variant's system fallbacks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./log');
+
+const FACES_FILE = path.join(__dirname, '..', 'public', 'fonts', 'faces.json');
+
+function readFaces(file = FACES_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    log.warn(`Fonts: ${path.basename(file)} unreadable (${err.message}) — run npm run fonts`);
+    return {};
+  }
+}
+
+// locales with a page but no subsets — system fallbacks until npm run fonts
+function missingFonts(faces, langs) {
+  return langs.filter(lang => !faces[lang]);
+}
+
+function fontFaceCss(faces, lang, families) {
+  const byFamily = faces[lang] || {};
+  const rules = [];
+  for (const family of families) {
+    for (const face of byFamily[family] || []) {
+      rules.push([
+        '  @font-face {',
+        `    font-family: '${family}';`,
+        `    src: url('${face.src}') format('woff2');`,
+        `    font-style: ${face.style};`,
+        `    font-weight: ${face.weight};`,
+        '    font-display: swap;',
+        `    unicode-range: ${face.unicodeRange};`,
+        '  }'
+      ].join('\n'));
+    }
+  }
+  return rules.join('\n\n');
+}
+
+module.exports = {
+  FACES_FILE,
+  readFaces,
+  missingFonts,
+  fontFaceCss
+};
@@ -0,0 +1,248 @@
+/**
+ * Generative variant — palette, typefaces and typographic parameters for one page view.
+ *
+ * Rendered on the server into the page's hashed <style> as CSS custom properties,
+ * so there is no flash of the default theme and readers without JavaScript get a
+ * variant too. Default pages are pre-rendered as a small pool of seeds per language;
+ * each request draws one and a fresh seed is rendered in the background to replace
+ * it (server.js). ?seed= renders on demand. Fonts are self-hosted subsets built by
+ * scripts/fonts.js; lib/fonts.js turns the chosen families into @font-face rules.
+ *
+ * A variant is fully determined by its seed: ?seed=k3j9x2 reproduces it.
+ */
+
+const crypto = require('crypto');
+
+const SEED_RE = /^[a-z0-9]{1,16}$/;
+
+const PALETTES = [
+  ['#BEE8FE', '#0D0804'], ['#FF9FC7', '#0D0804'], ['#FABEFE', '#0D0804'],
+  ['#FFEE73', '#0D0804'], ['#7724FF', '#FFFFFF'], ['#89D6FD', '#0D0804'],
+  ['#4D0020', '#FFFFFF'], ['#D40199', '#FFFFFF'], ['#F689FD', '#0D0804'],
+  ['#FFE100', '#0D0804'], ['#3C1280', '#FFFFFF'], ['#185A7B', '#FFFFFF'],
+  ['#340016', '#FFFFFF'], ['#8F096A', '#FFFFFF'], ['#BE08C9', '#FFFFFF']
+];
+
+// [family, face spec, body weight, [h1 weight min, max], metric fallback]
+const FONTS = [
+  ['Newsreader', 'Newsreader:ital,opsz,wght@0,6..72,300..600;1,6..72,300..400', 400, [300, 500], 'Georgia Adjusted'],
+  ['Literata', 'Literata:ital,opsz,wght@0,7..72,300..600;1,7..72,300..400', 400, [300, 600], 'Georgia Adjusted'],
+  ['Spectral', 'Spectral:ital,wght@0,300;0,400;0,600;1,300;1,400', 400, [300, 500], 'Georgia Adjusted'],
+  ['Alegreya', 'Alegreya:ital,wght@0,400..800;1,400..500', 400, [400, 600], 'Georgia Adjusted'],
+  ['Brygada 1918', 'Brygada+1918:ital,wght@0,400..700;1,400..500', 400, [400, 600], 'Georgia Adjusted'],
+  ['Fraunces', 'Fraunces:ital,opsz,wght@0,9..144,300..600;1,9..144,300..400', 400, [300, 500], 'Georgia Adjusted']
+];
+
+// [family, face spec, metric fallback]
+// face spec: Google Fonts css2 axis syntax, read by scripts/fonts.js to pick the
+// styles, weights and axes to subset — 'Alegreya:ital,wght@0,400..800;1,400..500'
+const MONO_FONTS = [
+  ['JetBrains Mono', 'JetBrains+Mono:wght@300;400', 'Courier Adjusted'],
+  ['IBM Plex Mono', 'IBM+Plex+Mono:wght@300;400', 'Courier Adjusted'],
+  ['Space Mono', 'Space+Mono:wght@400', 'Courier Adjusted'],
+  ['Source Code Pro', 'Source+Code+Pro:wght@300;400', 'Courier Adjusted']
+];
+
+// ── per-script pools, keyed by the manifest's ISO 15924 script ──
+//    paired: the script face follows a Latin one in the stack, so embedded names
+//    and book titles keep a Latin face while the script's glyphs fall through.
+//    Fallbacks are local system faces with the script's own metrics — Georgia and
+//    Courier New only cover Latin, Greek and Cyrillic.
+const SCRIPT_POOLS = {
+  Latn: { fonts: FONTS, mono: MONO_FONTS, paired: false },
+  Cyrl: {
+    paired: false,
+    fonts: [
+      FONTS[1], FONTS[2], FONTS[3], FONTS[4],
+      ['PT Serif', 'PT+Serif:ital,wght@0,400;0,700;1,400', 400, [400, 700], 'Georgia Adjusted']
+    ],
+    mono: [MONO_FONTS[0], MONO_FONTS[1], MONO_FONTS[3]]
+  },
+  Jpan: {
+    paired: true,
+    fonts: [
+      ['Noto Serif JP', 'Noto+Serif+JP:wght@200..900', 400, [300, 600], "'Hiragino Mincho ProN', 'Yu Mincho'"],
+      ['Shippori Mincho', 'Shippori+Mincho:wght@400;500;600;700;800', 400, [400, 600], "'Hiragino Mincho ProN', 'Yu Mincho'"],
+      ['Zen Old Mincho', 'Zen+Old+Mincho:wght@400;700', 400, [400, 700], "'Hiragino Mincho ProN', 'Yu Mincho'"],
+      ['BIZ UDPMincho', 'BIZ+UDPMincho:wght@400;700', 400, [400, 700], "'Hiragino Mincho ProN', 'Yu Mincho'"]
+    ],
+    mono: [
+      ['M PLUS 1 Code', 'M+PLUS+1+Code:wght@300;400', "'Hiragino Sans', 'Yu Gothic'"],
+      ['BIZ UDGothic', 'BIZ+UDGothic:wght@400', "'Hiragino Sans', 'Yu Gothic'"]
+    ]
+  },
+  Hans: {
+    paired: true,
+    fonts: [
+      ['Noto Serif SC', 'Noto+Serif+SC:wght@200..900', 400, [300, 600], "'Songti SC', 'SimSun'"],
+      ['ZCOOL XiaoWei', 'ZCOOL+XiaoWei', 400, [400, 400], "'Songti SC', 'SimSun'"]
+    ],
+    mono: [['Noto Sans SC', 'Noto+Sans+SC:wght@300;400', "'PingFang SC', 'Microsoft YaHei'"]]
+  },
+  Hant: {
+    paired: true,
+    fonts: [
+      ['Noto Serif TC', 'Noto+Serif+TC:wght@200..900', 400, [300, 600], "'Songti TC', 'PMingLiU'"],
+      ['LXGW WenKai TC', 'LXGW+WenKai+TC:wght@300;400;700', 400, [400, 700], "'Songti TC', 'PMingLiU'"]
+    ],
+    mono: [['Noto Sans TC', 'Noto+Sans+TC:wght@300;400', "'PingFang TC', 'Microsoft JhengHei'"]]
+  },
+  Kore: {
+    paired: true,
+    fonts: [
+      ['Noto Serif KR', 'Noto+Serif+KR:wght@200..900', 400, [300, 600], "'AppleMyungjo', 'Batang'"],
+      ['Gowun Batang', 'Gowun+Batang:wght@400;700', 400, [400, 700], "'AppleMyungjo', 'Batang'"],
+      ['Nanum Myeongjo', 'Nanum+Myeongjo:wght@400;700', 400, [400, 700], "'AppleMyungjo', 'Batang'"]
+    ],
+    mono: [['Nanum Gothic Coding', 'Nanum+Gothic+Coding:wght@400', "'Apple SD Gothic Neo', 'Malgun Gothic'"]]
+  },
+  Arab: {
+    paired: true,
+    fonts: [
+      ['Amiri', 'Amiri:ital,wght@0,400;0,700;1,400', 400, [400, 700], "'Geeza Pro', 'Traditional Arabic'"],
+      ['Noto Naskh Arabic', 'Noto+Naskh+Arabic:wght@400..700', 400, [400, 600], "'Geeza Pro', 'Traditional Arabic'"],
+      ['Scheherazade New', 'Scheherazade+New:wght@400;700', 400, [400, 700], "'Geeza Pro', 'Traditional Arabic'"]
+    ],
+    mono: [
+      ['IBM Plex Sans Arabic', 'IBM+Plex+Sans+Arabic:wght@300;400', "'Geeza Pro', 'Tahoma'"],
+      ['Noto Kufi Arabic', 'Noto+Kufi+Arabic:wght@300;400', "'Geeza Pro', 'Tahoma'"]
+    ]
+  },
+  Deva: {
+    paired: true,
+    fonts: [
+      ['Tiro Devanagari Hindi', 'Tiro+Devanagari+Hindi:ital@0;1', 400, [400, 400], "'Kohinoor Devanagari', 'Mangal'"],
+      ['Noto Serif Devanagari', 'Noto+Serif+Devanagari:wght@300..700', 400, [300, 600], "'Kohinoor Devanagari', 'Mangal'"],
+      ['Martel', 'Martel:wght@300;400;600', 400, [300, 600], "'Kohinoor Devanagari', 'Mangal'"]
+    ],
+    mono: [
+      ['IBM Plex Sans Devanagari', 'IBM+Plex+Sans+Devanagari:wght@300;400', "'Kohinoor Devanagari', 'Mangal'"],
+      ['Noto Sans Devanagari', 'Noto+Sans+Devanagari:wght@300;400', "'Kohinoor Devanagari', 'Mangal'"]
+    ]
+  }
+};
+
+// ── seeded PRNG ──
+// FNV-1a hashes the seed string into mulberry32's 32-bit state. The order of
+// r() calls in pickVariant() is part of the format — reordering them changes
+// every existing permalink. New draws go at the end.
+
+function hashSeed(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function mulberry32(a) {
+  return function () {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// a requested seed if it is well-formed, otherwise a fresh random one
+function resolveSeed(requested) {
+  if (typeof requested === 'string' && SEED_RE.test(requested.toLowerCase())) {
+    return requested.toLowerCase();
+  }
+  return crypto.randomBytes(4).readUInt32BE(0).toString(36);
+}
+
+// ── helpers ──
+
+function h2r(h) {
+  return [parseInt(h.slice(1, 3), 16), parseInt(h.slice(3, 5), 16), parseInt(h.slice(5, 7), 16)];
+}
+
+function rgba(rgb, a) {
+  return `rgba(${rgb[0]},${rgb[1]},${rgb[2]},${a})`;
+}
+
+// 'Alegreya', 'Georgia Adjusted', serif  — or, paired with a script face:
+// 'Alegreya', 'Noto Serif JP', 'Hiragino Mincho ProN', 'Yu Mincho', serif
+function fontStack(latin, scriptFace, fallback, generic) {
+  const faces = [`'${latin}'`];
+  if (scriptFace) faces.push(`'${scriptFace}'`);
+  faces.push(fallback.startsWith("'") ? fallback : `'${fallback}'`);
+  return `${faces.join(', ')}, ${generic}`;
+}
+
+// ── variant ──
+
+// script: ISO 15924 code of the page language (manifest); unknown scripts get Latin pools
+function pickVariant(seed, script = 'Latn') {
+  const r = mulberry32(hashSeed(seed));
+  const pool = SCRIPT_POOLS[script] || SCRIPT_POOLS.Latn;
+  const latinPool = pool.paired ? SCRIPT_POOLS.Latn : pool;
+
+  const [bg, fg] = PALETTES[Math.floor(r() * PALETTES.length)];
+  const fgRgb = h2r(fg);
+
+  const font = latinPool.fonts[Math.floor(r() * latinPool.fonts.length)];
+  const mono = latinPool.mono[Math.floor(r() * latinPool.mono.length)];
+
+  // weights follow the face that sets most of the text
+  const pSize = (1.0 + r() * 0.08).toFixed(3);
+  const h1Range = pool.paired ? null : font[3];
+  const h1Draw = r();
+  const h1Sp = (-0.025 + r() * 0.015).toFixed(4);
+  const contW = Math.round(700 + r() * 80);
+  const thSize = (1.22 + r() * 0.18).toFixed(3);
+
+  const scriptFont = pool.paired ? pool.fonts[Math.floor(r() * pool.fonts.length)] : null;
+  const scriptMono = pool.paired ? pool.mono[Math.floor(r() * pool.mono.length)] : null;
+
+  const body = scriptFont || font;
+  const range = h1Range || scriptFont[3];
+  const h1Wt = Math.round(range[0] + h1Draw * (range[1] - range[0]));
+
+  const families = [font[0], mono[0]];
+  if (scriptFont) families.push(scriptFont[0], scriptMono[0]);
+
+  return {
+    seed,
+    families,
+    vars: {
+      '--bg': bg,
+      '--fg': fg,
+      '--rule': rgba(fgRgb, 0.2),
+      '--rule-accent': rgba(fgRgb, 0.5),
+      '--selection-bg': rgba(fgRgb, 0.18),
+      '--serif': scriptFont
+        ? fontStack(font[0], scriptFont[0], scriptFont[4], 'serif')
+        : fontStack(font[0], null, font[4], 'serif'),
+      '--mono': scriptMono
+        ? fontStack(mono[0], scriptMono[0], scriptMono[2], 'monospace')
+        : fontStack(mono[0], null, mono[2], 'monospace'),
+      '--body-wt': String(body[2]),
+      '--p-size': `${pSize}rem`,
+      '--h1-weight': String(h1Wt),
+      '--h1-spacing': `${h1Sp}em`,
+      '--container-w': `${contW}px`,
+      '--thesis-size': `${thSize}rem`
+    }
+  };
+}
+
+// every [family, spec] a page in this script can draw — what scripts/fonts.js subsets
+function poolFaces(script = 'Latn') {
+  const pool = SCRIPT_POOLS[script] || SCRIPT_POOLS.Latn;
+  const pools = pool.paired ? [SCRIPT_POOLS.Latn, pool] : [pool];
+  const faces = new Map();
+  for (const p of pools) {
+    for (const f of [...p.fonts, ...p.mono]) faces.set(f[0], f[1]);
+  }
+  return [...faces];
+}
+
+module.exports = {
+  SEED_RE,
+  resolveSeed,
+  pickVariant,
+  poolFaces
+};
@@ -0,0 +1,107 @@
+/**
+ * BCP-47 language tags — shared by server.js and scripts/translate.js.
+ *
+ * Supported shape: language[-Script][-REGION], e.g. en, pt-BR, zh-Hant, zh-Hant-TW, es-419.
+ * Tags are stored in canonical case (locale files, hreflang, JSON-LD): pt-BR.
+ * URLs use the lowercase slug: /pt-br/.
+ * Accept-Language is negotiated by RFC 4647 lookup (negotiate).
+ */
+
+const TAG_RE = /^([a-z]{2,3})(?:-([a-z]{4}))?(?:-([a-z]{2}|[0-9]{3}))?$/i;
+
+// ── parse / canonicalize ──
+
+function parseTag(tag) {
+  if (typeof tag !== 'string') return null;
+  const m = TAG_RE.exec(tag.trim().replace(/_/g, '-'));
+  if (!m) return null;
+  return {
+    language: m[1].toLowerCase(),
+    script: m[2] ? m[2][0].toUpperCase() + m[2].slice(1).toLowerCase() : null,
+    region: m[3] ? m[3].toUpperCase() : null
+  };
+}
+
+// 'PT-br' → 'pt-BR', 'zh-hant-tw' → 'zh-Hant-TW'; null if not a supported tag
+function canonicalTag(tag) {
+  const p = parseTag(tag);
+  if (!p) return null;
+  return [p.language, p.script, p.region].filter(Boolean).join('-');
+}
+
+// URL path segment for a tag: 'pt-BR' → 'pt-br'
+function langSlug(tag) {
+  return tag.toLowerCase();
+}
+
+// ── RFC 4647 lookup: truncate from the right until something matches ──
+
+// 'zh-Hant-TW' → ['zh-Hant-TW', 'zh-Hant', 'zh']
+function fallbackChain(tag) {
+  const canonical = canonicalTag(tag);
+  if (!canonical) return [];
+  const parts = canonical.split('-');
+  const chain = [];
+  for (let i = parts.length; i > 0; i--) {
+    chain.push(parts.slice(0, i).join('-'));
+  }
+  return chain;
+}
+
+// first tag in the fallback chain that `available` (canonical tags) contains
+function lookup(tag, available) {
+  return fallbackChain(tag).find(t => available.includes(t)) || null;
+}
+
+// ── Accept-Language negotiation ──
+
+// 'pl, en-GB;q=0.8, *;q=0.1, de;q=0' → [{ range, q, order }], malformed ranges dropped
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string') return [];
+  return header.split(',').map((part, order) => {
+    const [range, ...params] = part.split(';').map(p => p.trim());
+    const qParam = params.find(p => /^q=/i.test(p));
+    const q = qParam ? Number(qParam.slice(2)) : 1;
+    return { range, q, order };
+  }).filter(r =>
+    (r.range === '*' || canonicalTag(r.range)) &&
+    r.q >= 0 && r.q <= 1 && !Number.isNaN(r.q)
+  );
+}
+
+// q=0 rules a language out, its variants included: 'en;q=0' excludes en-GB too
+function excluded(tag, ranges) {
+  return ranges.some(r => r.q === 0 && r.range !== '*' &&
+    (tag === canonicalTag(r.range) || tag.startsWith(`${canonicalTag(r.range)}-`)));
+}
+
+// best of `available` (canonical tags) for an Accept-Language header, or null.
+// Ranges go by q, ties in header order; each is looked up with truncation
+// (pt-BR → pt). '*' stands for any language not excluded, `preferred` first.
+function negotiate(header, available, preferred = available[0]) {
+  const ranges = parseAcceptLanguage(header);
+  const allowed = available.filter(tag => !excluded(tag, ranges));
+  const wanted = ranges
+    .filter(r => r.q > 0)
+    .sort((a, b) => b.q - a.q || a.order - b.order);
+
+  for (const { range } of wanted) {
+    if (range === '*') {
+      return allowed.includes(preferred) ? preferred : allowed[0] || null;
+    }
+    const match = lookup(range, allowed);
+    if (match) return match;
+  }
+  return null;
+}
+
+module.exports = {
+  TAG_RE,
+  parseTag,
+  canonicalTag,
+  langSlug,
+  fallbackChain,
+  lookup,
+  parseAcceptLanguage,
+  negotiate
+};
@@ -0,0 +1,34 @@
+/**
+ * Structured logging — one JSON object per line, in the shape Cloud Logging
+ * parses from stdout/stderr: severity, message, time, plus any extra fields
+ * (requestId, httpRequest, …).
+ *
+ * JSON in production or with LOG_FORMAT=json; plain "SEVERITY message" lines
+ * otherwise, for reading in a terminal. LOG_LEVEL=warn|error drops the lower levels.
+ *
+ * Never pass IPs, user agents or referrers — the site keeps no visitor data.
+ */
+
+const JSON_LOGS = process.env.LOG_FORMAT
+  ? process.env.LOG_FORMAT === 'json'
+  : process.env.NODE_ENV === 'production';
+
+const LEVELS = { INFO: 0, WARNING: 1, ERROR: 2 };
+const MIN_LEVEL = { warn: 1, error: 2 }[process.env.LOG_LEVEL] || 0;
+
+function write(severity, message, fields = {}) {
+  if (LEVELS[severity] < MIN_LEVEL) return;
+  const stream = severity === 'ERROR' || severity === 'WARNING' ? process.stderr : process.stdout;
+  if (JSON_LOGS) {
+    stream.write(JSON.stringify({ severity, message, time: new Date().toISOString(), ...fields }) + '\n');
+    return;
+  }
+  const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+  stream.write(`${severity.padEnd(7)} ${message}${extra}\n`);
+}
+
+module.exports = {
+  info: (message, fields) => write('INFO', message, fields),
+  warn: (message, fields) => write('WARNING', message, fields),
+  error: (message, fields) => write('ERROR', message, fields)
+};
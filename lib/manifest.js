@@ -0,0 +1,84 @@
+/**
+ * Locale manifest — locales/manifest.json, one entry per language tag:
+ *
+ *   name      English name (translate prompts, CLI listing)
+ *   native    name in the language itself (language switcher)
+ *   ogLocale  Open Graph locale with territory, e.g. ja_JP (null for an unlisted
+ *             variant whose territory isn't known)
+ *   script    ISO 15924 script code, e.g. Latn, Jpan, Arab
+ *   dir       text direction: ltr | rtl
+ *   quotes    [open, close] typographic quotation marks
+ *
+ * Shared by server.js and scripts/translate.js. Adding a language means adding
+ * an entry here and running the translate CLI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseTag, fallbackChain } = require('./lang');
+
+const MANIFEST_FILE = path.join(__dirname, '..', 'locales', 'manifest.json');
+
+// throws with a readable reason if the manifest is unusable
+function readManifest(file = MANIFEST_FILE) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('expected a JSON object of tag → language entry');
+  }
+  for (const [tag, entry] of Object.entries(data)) {
+    const p = parseTag(tag);
+    if (!p || fallbackChain(tag)[0] !== tag) throw new Error(`"${tag}" is not a canonical BCP-47 tag`);
+    for (const field of ['name', 'native', 'ogLocale', 'script']) {
+      if (typeof entry[field] !== 'string' || !entry[field]) throw new Error(`"${tag}": missing ${field}`);
+    }
+    if (entry.dir !== 'ltr' && entry.dir !== 'rtl') throw new Error(`"${tag}": dir must be ltr or rtl`);
+    if (!Array.isArray(entry.quotes) || entry.quotes.length !== 2) throw new Error(`"${tag}": quotes must be [open, close]`);
+  }
+  return data;
+}
+
+// manifest entry for a tag; variants without their own entry inherit from the
+// closest listed entry in the tag's script — up the chain (zh-Hant-TW → zh-Hant),
+// else a sibling in it (zh-Hant-HK → zh-HK) — then from the base language
+// (pt-AO → pt), with the territory and script the tag adds. og:locale needs a
+// territory: without one from the tag or the manifest it is left out (null).
+function languageInfo(manifest, tag) {
+  if (manifest[tag]) return { tag, ...manifest[tag] };
+
+  const p = parseTag(tag) || { language: tag, script: null, region: null };
+  const chain = fallbackChain(tag).filter(t => manifest[t]);
+  const siblings = Object.keys(manifest).filter(t => {
+    const s = parseTag(t);
+    return s.language === p.language && manifest[t].script === p.script;
+  });
+  const baseTag = p.script
+    ? siblings.find(t => parseTag(t).region === p.region) ||
+      chain.find(t => manifest[t].script === p.script) ||
+      siblings[0] ||
+      chain[0]
+    : chain[0];
+
+  const base = baseTag ? parseTag(baseTag) : { region: null };
+  const info = baseTag
+    ? { ...manifest[baseTag] }
+    : { name: tag, native: tag, ogLocale: null, script: p.script || 'Latn', dir: 'ltr', quotes: ['“', '”'] };
+
+  if (p.script && info.script !== p.script) {
+    info.name = `${info.name} (${p.script})`;
+    info.native = `${info.native} (${p.script})`;
+    info.script = p.script;
+    info.ogLocale = null;
+  }
+  if (p.region && base.region !== p.region) {
+    info.name = `${info.name} (${p.region})`;
+    info.native = `${info.native} (${p.region})`;
+    info.ogLocale = `${p.language}_${p.region}`;
+  }
+  return { tag, ...info };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  readManifest,
+  languageInfo
+};
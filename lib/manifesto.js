@@ -0,0 +1,83 @@
+/**
+ * The manifesto's structure — which locale keys make up each section, in order.
+ *
+ * templates/page.ejs renders it as HTML and templates/llms-full.ejs as markdown,
+ * so both always carry the same text. Section ids are the page's #fragments; a
+ * block is the key suffix of a paragraph (p1, p2, …) or of the section's quote,
+ * and blockId() its fragment — built from the locale key, so the same in every
+ * language.
+ *
+ * Locale values hold a little inline HTML (<strong>, <cite>, <em>). toMarkdown()
+ * and toText() turn it into markdown or plain text; sanitizeHtml() keeps those
+ * three tags and escapes everything else, for handing the markup to other tools.
+ * escapeHtml() is for plain text going into HTML or XML (citations, the EPUB).
+ */
+
+const SECTIONS = [
+  { id: 'the-loop-as-political-form', key: 's01', blocks: ['p1', 'p2', 'blockquote'], quote: 'thesis' },
+  { id: 'divergence-not-variation', key: 's02', blocks: ['p1', 'p2', 'p3'] },
+  { id: 'metastability-and-initial-conditions', key: 's03', blocks: ['p1', 'p2', 'p3'] },
+  { id: 'the-refusal-of-memory', key: 's04', blocks: ['p1', 'p2', 'p3', 'p4'] },
+  { id: 'the-body-in-the-system', key: 's05', blocks: ['p1', 'p2', 'p3'] },
+  { id: 'the-negative-condition', key: 's06', blocks: ['p1', 'p2', 'blockquote', 'p3'], quote: 'negative-condition' }
+];
+
+// '01', '02', … as printed next to each section heading
+function sectionNumber(index) {
+  return String(index + 1).padStart(2, '0');
+}
+
+// 's04-p3': the paragraph's #fragment, from its locale key s04.p3
+function blockId(section, block) {
+  return `${section.key}-${block}`;
+}
+
+const INLINE_TAGS_RE = /(<\/?(?:strong|cite|em)>)/;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: '\u00a0' };
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (m, name) => ENTITIES[name]);
+}
+
+function toText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ''))
+    .replace(/[ \t\r\n]+/g, ' ')
+    .trim();
+}
+
+function toMarkdown(html) {
+  return toText(html
+    .replace(/<\/?strong>/g, '**')
+    .replace(/<\/?(?:cite|em)>/g, '*'));
+}
+
+// plain text for HTML element content or a double-quoted attribute; XML-safe too
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// attribute-free <strong>, <cite> and <em> survive; any other markup shows as text
+function sanitizeHtml(html) {
+  return html
+    .split(INLINE_TAGS_RE)
+    .map((part, i) => (i % 2 ? part : part
+      .replace(/&(?!(?:amp|lt|gt|quot|#39|nbsp);)/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')))
+    .join('')
+    .trim();
+}
+
+module.exports = {
+  SECTIONS,
+  sectionNumber,
+  blockId,
+  toText,
+  toMarkdown,
+  escapeHtml,
+  sanitizeHtml
+};
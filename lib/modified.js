@@ -0,0 +1,90 @@
+/**
+ * Content modification dates — locales/modified.json, one entry per language tag,
+ * and one per shared input every language renders from (the manifest, the
+ * references and the templates), keyed by its path from the repo root:
+ *
+ *   sha256    hash of the content (parsed for JSON, so formatting doesn't count)
+ *   modified  ISO timestamp of the last change to that content
+ *
+ * Written whenever a locale's content changes (scripts/translate.js on save,
+ * npm run stamp after a hand edit); read by server.js for article:modified_time,
+ * JSON-LD dateModified and the sitemap's lastmod, and — with the shared inputs —
+ * for Last-Modified headers. Recorded rather than taken from mtimes, so every
+ * checkout and instance reports the same date for the same bytes. A stale entry
+ * is never trusted — the server falls back to the file's mtime.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MODIFIED_FILE = path.join(ROOT, 'locales', 'modified.json');
+const SHARED_DIRS = ['templates', 'templates/partials'];
+const SHARED_DATA = ['locales/manifest.json', 'locales/references.json'];
+
+function contentHash(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+// ── shared inputs ──
+
+// 'locales/manifest.json', …, 'templates/page.ejs', 'templates/partials/theme.ejs'
+function sharedFiles() {
+  const templates = SHARED_DIRS.flatMap(dir => fs.readdirSync(path.join(ROOT, dir))
+    .filter(f => f.endsWith('.ejs'))
+    .map(f => `${dir}/${f}`));
+  return [...SHARED_DATA, ...templates];
+}
+
+// what a shared input's entry hashes: parsed JSON, or a template's text
+function sharedContent(file) {
+  const text = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  return file.endsWith('.json') ? JSON.parse(text) : text;
+}
+
+// missing or unreadable file → no recorded dates
+function readModified(file = MODIFIED_FILE) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+// recorded date if the content still hashes the same, else null
+function recordedDate(record, tag, data) {
+  const entry = record[tag];
+  if (!entry || entry.sha256 !== contentHash(data)) return null;
+  const date = new Date(entry.modified);
+  return isNaN(date) ? null : date;
+}
+
+// stamps the locales whose content changed since their entry; returns their tags
+function stampModified(locales, date = new Date(), file = MODIFIED_FILE) {
+  const record = readModified(file);
+  const changed = [];
+  for (const [tag, data] of Object.entries(locales)) {
+    const sha256 = contentHash(data);
+    if (record[tag] && record[tag].sha256 === sha256) continue;
+    record[tag] = { sha256, modified: date.toISOString() };
+    changed.push(tag);
+  }
+  if (changed.length) {
+    const sorted = Object.fromEntries(Object.keys(record).sort().map(k => [k, record[k]]));
+    fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + '\n', 'utf8');
+  }
+  return changed;
+}
+
+module.exports = {
+  ROOT,
+  MODIFIED_FILE,
+  sharedFiles,
+  sharedContent,
+  contentHash,
+  readModified,
+  recordedDate,
+  stampModified
+};
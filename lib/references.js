@@ -0,0 +1,117 @@
+/**
+ * Bibliography — locales/references.json, the works the manifesto cites:
+ *
+ *   id         stable slug: the page's #ref-<id> anchor and the ref.<id> locale key,
+ *              which holds the work's one-line relevance note in each language
+ *   type       schema.org type (Book, …)
+ *   authors    [{ given, family, cited? }] — cited: the name as the text mentions
+ *              it, when that isn't "given family" (a surname alone, say)
+ *   title      as the text cites it; subtitle, publisher, year complete the entry
+ *   lang       language of the edition cited
+ *   isbn, doi  identifiers, both optional
+ *   cited      keys of the sections citing the work (s01, …)
+ *
+ * The one list behind the page's JSON-LD and bibliography, llms.txt, the content
+ * API, the EPUB and the translator's protected names and titles.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SECTIONS, escapeHtml } = require('./manifesto');
+
+const REFERENCES_FILE = path.join(__dirname, '..', 'locales', 'references.json');
+
+const ID_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function validIsbn13(isbn) {
+  if (!/^97[89]\d{10}$/.test(isbn)) return false;
+  const sum = [...isbn].reduce((acc, digit, i) => acc + Number(digit) * (i % 2 ? 3 : 1), 0);
+  return sum % 10 === 0;
+}
+
+// throws with a readable reason if the file is unusable
+function readReferences(file = REFERENCES_FILE) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(data)) throw new Error('expected a JSON array of works');
+
+  const ids = new Set();
+  const sectionKeys = new Set(SECTIONS.map(s => s.key));
+  for (const ref of data) {
+    if (!ref || typeof ref.id !== 'string' || !ID_RE.test(ref.id)) throw new Error(`invalid id: ${JSON.stringify(ref && ref.id)}`);
+    if (ids.has(ref.id)) throw new Error(`"${ref.id}": duplicate id`);
+    ids.add(ref.id);
+    for (const field of ['type', 'title', 'lang']) {
+      if (typeof ref[field] !== 'string' || !ref[field]) throw new Error(`"${ref.id}": missing ${field}`);
+    }
+    if (!Number.isInteger(ref.year)) throw new Error(`"${ref.id}": year must be an integer`);
+    if (!Array.isArray(ref.authors) || !ref.authors.length || !ref.authors.every(a => a && a.family && a.given)) {
+      throw new Error(`"${ref.id}": authors must be [{ given, family }]`);
+    }
+    if (ref.isbn !== undefined && !validIsbn13(ref.isbn)) throw new Error(`"${ref.id}": isbn is not a valid ISBN-13`);
+    if (!Array.isArray(ref.cited) || !ref.cited.every(key => sectionKeys.has(key))) {
+      throw new Error(`"${ref.id}": cited must list section keys (${[...sectionKeys].join(', ')})`);
+    }
+  }
+  return data;
+}
+
+function authorName(author) {
+  return `${author.given} ${author.family}`;
+}
+
+// ── translator's protected strings ──
+
+// names as the text mentions them — the translator may decline, not replace them
+function citedNames(refs) {
+  return [...new Set(refs.flatMap(ref => ref.authors.map(a => a.cited || authorName(a))))];
+}
+
+function citedTitles(refs) {
+  return refs.map(ref => ref.title);
+}
+
+// ── formats ──
+
+function fullTitle(ref) {
+  return ref.subtitle ? `${ref.title}: ${ref.subtitle}` : ref.title;
+}
+
+function referenceUrl(ref) {
+  return ref.doi ? `https://doi.org/${ref.doi}` : null;
+}
+
+// Chicago bibliography entry as HTML: Family, Given, and Given Family. <cite>Title</cite>. Publisher, Year.
+function formatReference(ref) {
+  const names = ref.authors.map((a, i) => (i === 0 ? `${a.family}, ${a.given}` : authorName(a)));
+  const authors = names.length > 1 ? `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}` : names[0];
+  const published = [ref.publisher, ref.year].filter(Boolean).join(', ');
+  const url = referenceUrl(ref);
+  return `${escapeHtml(authors)}. <cite>${escapeHtml(fullTitle(ref))}</cite>. ${escapeHtml(published)}.${url ? ` ${escapeHtml(url)}` : ''}`;
+}
+
+// schema.org CreativeWork for JSON-LD citation
+function referenceJsonLd(ref) {
+  const item = {
+    '@type': ref.type,
+    name: fullTitle(ref),
+    author: ref.authors.map(a => ({ '@type': 'Person', name: authorName(a) })),
+    datePublished: String(ref.year),
+    inLanguage: ref.lang
+  };
+  if (ref.publisher) item.publisher = { '@type': 'Organization', name: ref.publisher };
+  if (ref.isbn) item.isbn = ref.isbn;
+  if (ref.doi) item.sameAs = referenceUrl(ref);
+  return item;
+}
+
+module.exports = {
+  REFERENCES_FILE,
+  readReferences,
+  authorName,
+  citedNames,
+  citedTitles,
+  fullTitle,
+  referenceUrl,
+  formatReference,
+  referenceJsonLd
+};
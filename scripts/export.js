@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * Static export for generatywnie.com — renders the site into dist/ for a plain
+ * CDN or object storage.
+ *
+ * Usage:
+ *   node scripts/export.js                 # the server's pre-rendered variant per language
+ *   node scripts/export.js --seed k3j9x2   # one pinned variant for every language
+ *   node scripts/export.js --out build    # an empty or new directory, or a previous export
+ *
+ * Every file is fetched through server.js's own routes, so the output is what the
+ * live site serves, byte for byte, and _headers carries the same hash-based CSP.
+ *
+ * Output:
+ *   <slug>/index.html                    every loaded language
+ *   <slug>/llms.txt, llms-full.txt       summary and full text, per language
+ *   <slug>/manifesto.epub                e-book, per language
+ *   <slug>/cite.html, cite.bib, .ris,    citation page and files, per language
+ *     .json                              (the host serves cite.html at /<slug>/cite)
+ *   api/v1/<slug>/manifesto.json         content API, per language
+ *   <slug>/compare/<slug>/index.html     parallel text, per pair of languages
+ *   sitemap.xml, robots.txt, public/     as served
+ *   _headers                             response headers per path (Netlify / Cloudflare Pages syntax)
+ *   _redirects                           / by Accept-Language, trailing slashes, legacy paths
+ *
+ * A static host can't set the language cookie or read ?seed=, so the switcher
+ * links redirect without remembering the choice and each page shows the variant
+ * it was exported with.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { langSlug } = require('../lib/lang');
+const { SEED_RE } = require('../lib/generative');
+const { FILES: CITATION_FILES } = require('../lib/citation');
+
+// ── config ──────────────────────────────────────────────
+
+const ROOT = path.join(__dirname, '..');
+const PUBLIC_DIR = path.join(ROOT, 'public');
+
+// response headers worth carrying over to the static host
+const HEADERS = [
+  'Content-Type',
+  'Content-Disposition',
+  'Cache-Control',
+  'Vary',
+  'Content-Security-Policy',
+  'Strict-Transport-Security',
+  'X-Content-Type-Options',
+  'X-Frame-Options',
+  'X-XSS-Protection',
+  'Referrer-Policy',
+  'Permissions-Policy',
+  'Access-Control-Allow-Origin'
+];
+
+// ── fetch through the app ───────────────────────────────
+
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+  });
+}
+
+async function get(base, urlPath, headers = {}) {
+  const res = await fetch(base + urlPath, {
+    headers: { 'Accept-Encoding': 'identity', ...headers },
+    redirect: 'manual'
+  });
+  const body = Buffer.from(await res.arrayBuffer());
+  if (res.status >= 400) throw new Error(`${urlPath}: ${res.status}`);
+  return { status: res.status, headers: res.headers, body };
+}
+
+// a static host has no report endpoint, so the CSP goes without reporting
+function withoutReporting(csp) {
+  return csp.split('; ').filter(d => !/^report-(uri|to)\b/.test(d)).join('; ');
+}
+
+function pick(headers) {
+  return HEADERS.filter(h => headers.get(h)).map(h => [
+    h,
+    h === 'Content-Security-Policy' ? withoutReporting(headers.get(h)) : headers.get(h)
+  ]);
+}
+
+// ── export ──────────────────────────────────────────────
+
+async function exportSite(base, langs, outDir, seed) {
+  const files = new Map();   // dist path → Buffer
+  const headers = [];        // [url path, [[name, value]]]
+  const redirects = [];      // [from, to, status, condition]
+
+  async function page(urlPath, file) {
+    const res = await get(base, urlPath);
+    files.set(file, res.body);
+    headers.push([urlPath.split('?')[0], pick(res.headers)]);
+  }
+
+  async function redirect(from, condition, requestHeaders) {
+    const res = await get(base, from, requestHeaders);
+    if (res.status < 300 || res.status >= 400) throw new Error(`${from}: expected a redirect, got ${res.status}`);
+    redirects.push([from, res.headers.get('Location'), res.status, condition]);
+  }
+
+  for (const lang of langs) {
+    const slug = langSlug(lang);
+    await page(seed ? `/${slug}/?seed=${seed}` : `/${slug}/`, `${slug}/index.html`);
+    await page(`/${slug}/llms.txt`, `${slug}/llms.txt`);
+    await page(`/${slug}/llms-full.txt`, `${slug}/llms-full.txt`);
+    await page(`/${slug}/manifesto.epub`, `${slug}/manifesto.epub`);
+    await page(`/${slug}/cite`, `${slug}/cite.html`);
+    for (const ext of Object.keys(CITATION_FILES)) {
+      await page(`/${slug}/cite.${ext}`, `${slug}/cite.${ext}`);
+    }
+    await page(`/api/v1/${slug}/manifesto.json`, `api/v1/${slug}/manifesto.json`);
+    for (const other of langs.filter(l => l !== lang)) {
+      await page(`/${slug}/compare/${langSlug(other)}/`, `${slug}/compare/${langSlug(other)}/index.html`);
+    }
+    console.log(`  ${lang}`);
+  }
+  await page('/sitemap.xml', 'sitemap.xml');
+  await page('/robots.txt', 'robots.txt');
+
+  // shared headers for /public/*, minus what depends on the file
+  const asset = await get(base, '/public/favicon.svg');
+  headers.push(['/public/*', pick(asset.headers).filter(([h]) => h !== 'Content-Type')]);
+
+  // redirects exactly as the live routes answer them; the more specific rules first
+  await redirect('/favicon.ico');
+  await redirect('/llms.txt');
+  for (const lang of langs) {
+    await redirect(`/${langSlug(lang)}`);
+    await redirect(`/language/${langSlug(lang)}`);
+    for (const other of langs.filter(l => l !== lang)) {
+      await redirect(`/${langSlug(lang)}/compare/${langSlug(other)}`);
+    }
+  }
+  for (const lang of langs.filter(l => l !== 'en')) {
+    await redirect('/', `Language=${langSlug(lang)}`, { 'Accept-Language': lang });
+  }
+  await redirect('/');
+
+  // write
+  fs.rmSync(outDir, { recursive: true, force: true });
+  for (const [file, body] of files) {
+    fs.mkdirSync(path.dirname(path.join(outDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(outDir, file), body);
+  }
+  fs.cpSync(PUBLIC_DIR, path.join(outDir, 'public'), { recursive: true });
+
+  fs.writeFileSync(path.join(outDir, '_headers'), headers
+    .map(([p, list]) => [p, ...list.map(([h, v]) => `  ${h}: ${v}`)].join('\n'))
+    .join('\n\n') + '\n');
+  fs.writeFileSync(path.join(outDir, '_redirects'), redirects
+    .map(r => r.filter(Boolean).join('  '))
+    .join('\n') + '\n');
+
+  return files.size;
+}
+
+// the output directory is emptied first, so it must be new, empty or a previous
+// export (one with _headers) — never the checkout or anything holding it
+function outDirProblem(outDir) {
+  const rel = path.relative(outDir, ROOT);
+  if (!rel || (!rel.startsWith('..') && !path.isAbsolute(rel))) return 'contains the checkout';
+  if (!fs.existsSync(outDir)) return null;
+  if (!fs.statSync(outDir).isDirectory()) return 'is not a directory';
+  if (fs.readdirSync(outDir).length && !fs.existsSync(path.join(outDir, '_headers'))) {
+    return 'is not empty and not a previous export (no _headers)';
+  }
+  return null;
+}
+
+// ── main ────────────────────────────────────────────────
+
+async function main() {
+  const args = process.argv.slice(2);
+  let seed = null;
+  let outDir = path.join(ROOT, 'dist');
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--seed') {
+      seed = (args[++i] || '').toLowerCase();
+      if (!SEED_RE.test(seed)) {
+        console.error(`--seed must match ${SEED_RE}`);
+        process.exit(1);
+      }
+    } else if (args[i] === '--out') {
+      const value = args[++i];
+      if (!value || value.startsWith('--')) {
+        console.error('--out needs a directory');
+        process.exit(1);
+      }
+      outDir = path.resolve(value);
+    } else {
+      console.error(`Unknown argument: ${args[i]}`);
+      process.exit(1);
+    }
+  }
+
+  const problem = outDirProblem(outDir);
+  if (problem) {
+    console.error(`Refusing to export to ${outDir}: it ${problem}`);
+    process.exit(1);
+  }
+
+  // the export's own requests would flood the access log
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+  const { app, loadedLangs } = require('../server');
+  const server = await listen(app);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    console.log(`Exporting to ${path.relative(process.cwd(), outDir) || '.'}`);
+    const count = await exportSite(base, loadedLangs(), outDir, seed);
+    console.log(`Wrote ${count} rendered files, public/, _headers and _redirects`);
+  } finally {
+    server.close();
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Self-hosted font builder for generatywnie.com
+ *
+ * Usage:
+ *   node scripts/fonts.js            # every locale in locales/
+ *   node scripts/fonts.js ja pt-BR   # only these
+ *
+ * For each locale, subsets every family its script pool can draw (lib/generative.js)
+ * down to the characters the page can show: its own strings, the English fallback,
+ * the template text and the language switcher's native names. Sources are the
+ * Fontsource packages in devDependencies; output is content-hashed WOFF2 under
+ * public/fonts/<slug>/, served by the immutable /public handler.
+ *
+ * Writes public/fonts/faces.json (read by lib/fonts.js) and public/fonts/LICENSE.txt.
+ * public/fonts/ is build output, not checked in: the Docker build runs this, and a
+ * local checkout re-runs it after changing a locale, the template or a font pool.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const subsetFont = require('subset-font');
+const { canonicalTag, langSlug } = require('../lib/lang');
+const { readManifest, languageInfo } = require('../lib/manifest');
+const { poolFaces } = require('../lib/generative');
+const { REFERENCES_FILE } = require('../lib/references');
+
+// ── config ──────────────────────────────────────────────
+
+const ROOT = path.join(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+const TEMPLATES_DIR = path.join(ROOT, 'templates');
+const FONTS_DIR = path.join(ROOT, 'public', 'fonts');
+const FACES_FILE = path.join(FONTS_DIR, 'faces.json');
+const LICENSE_FILE = path.join(FONTS_DIR, 'LICENSE.txt');
+const MODULES_DIR = path.join(ROOT, 'node_modules');
+
+const MANIFEST = readManifest();
+
+// ── characters per locale ───────────────────────────────
+
+function localeFiles() {
+  return fs.readdirSync(LOCALES_DIR)
+    .filter(f => f.endsWith('.json') && f !== 'manifest.json' && !f.startsWith('glossary-'))
+    .map(f => canonicalTag(path.basename(f, '.json')))
+    .filter(Boolean);
+}
+
+function readStrings(lang) {
+  const data = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${lang}.json`), 'utf8'));
+  return Object.values(data).flat().filter(v => typeof v === 'string');
+}
+
+function addText(set, text) {
+  for (const ch of text.replace(/<[^>]*>/g, ' ')) {
+    const cp = ch.codePointAt(0);
+    if (cp >= 0x20) set.add(cp);
+  }
+}
+
+// text every page shares: printable ASCII, nbsp, template literals, English
+// fallbacks, the bibliography and the switcher's native names (one per locale file)
+function sharedChars(langs) {
+  const set = new Set();
+  for (let c = 0x20; c <= 0x7E; c++) set.add(c);
+  set.add(0xA0);
+  for (const f of fs.readdirSync(TEMPLATES_DIR, { recursive: true })) {
+    if (f.endsWith('.ejs')) addText(set, fs.readFileSync(path.join(TEMPLATES_DIR, f), 'utf8'));
+  }
+  for (const lang of langs) addText(set, languageInfo(MANIFEST, lang).native);
+  readStrings('en').forEach(s => addText(set, s));
+  addText(set, fs.readFileSync(REFERENCES_FILE, 'utf8'));
+  return set;
+}
+
+// ── unicode ranges ──────────────────────────────────────
+
+// 'U+0460-052F,U+20B4' → [[0x460, 0x52F], [0x20B4, 0x20B4]]
+function parseRange(str) {
+  return str.split(',').map(part => {
+    const [lo, hi] = part.trim().replace(/^U\+/i, '').split('-');
+    return [parseInt(lo, 16), parseInt(hi || lo, 16)];
+  });
+}
+
+function inRange(ranges, cp) {
+  return ranges.some(([lo, hi]) => cp >= lo && cp <= hi);
+}
+
+// sorted code points → 'U+20-7E,U+A0,U+144'
+function formatRange(cps) {
+  const out = [];
+  for (let i = 0; i < cps.length; i++) {
+    let j = i;
+    while (j + 1 < cps.length && cps[j + 1] === cps[j] + 1) j++;
+    const hex = n => n.toString(16).toUpperCase();
+    out.push(j > i ? `U+${hex(cps[i])}-${hex(cps[j])}` : `U+${hex(cps[i])}`);
+    i = j;
+  }
+  return out.join(',');
+}
+
+// ── face specs → Fontsource files ───────────────────────
+
+// 'Newsreader:ital,opsz,wght@0,6..72,300..600;1,6..72,300..400' →
+// [{ style: 'normal', weight: '300 600', file: 'standard' }, { style: 'italic', … }]
+// static families get one face per weight: { style, weight: '400', file: '400' }
+function parseSpec(spec) {
+  const [, axesPart] = spec.split(':');
+  if (!axesPart) return { variable: false, faces: [{ style: 'normal', weight: '400', file: '400' }] };
+
+  const [axesStr, tuplesStr] = axesPart.split('@');
+  const axes = axesStr.split(',');
+  const variable = tuplesStr.includes('..');
+  const token = axes.includes('opsz') ? 'standard' : 'wght';
+  const faces = [];
+
+  for (const tuple of tuplesStr.split(';').map(t => t.split(','))) {
+    const style = axes.includes('ital') && tuple[axes.indexOf('ital')] === '1' ? 'italic' : 'normal';
+    const wght = axes.includes('wght') ? tuple[axes.indexOf('wght')] : '400';
+    if (variable) {
+      faces.push({ style, weight: wght.replace('..', ' '), file: token });
+    } else {
+      faces.push({ style, weight: wght, file: wght });
+    }
+  }
+  return { variable, faces };
+}
+
+function fontsourceDir(family, variable) {
+  const id = family.toLowerCase().replace(/ /g, '-');
+  const dir = path.join(MODULES_DIR, variable ? '@fontsource-variable' : '@fontsource', id);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`${family}: missing ${path.relative(ROOT, dir)} — npm install it as a devDependency`);
+  }
+  return { id, dir };
+}
+
+// ── build ───────────────────────────────────────────────
+
+async function buildFamily(lang, family, spec, chars, outDir, licenses) {
+  const { variable, faces } = parseSpec(spec);
+  const { id, dir } = fontsourceDir(family, variable);
+  const meta = JSON.parse(fs.readFileSync(path.join(dir, 'metadata.json'), 'utf8'));
+  const subsets = JSON.parse(fs.readFileSync(path.join(dir, 'unicode.json'), 'utf8'));
+  licenses.set(family, meta.license);
+
+  const out = [];
+  for (const face of faces) {
+    // Fontsource's subsets overlap (latin-ext and vietnamese share letters), so the
+    // subsets covering most of the text claim their characters first
+    const candidates = Object.entries(subsets)
+      .map(([subset, range]) => {
+        const ranges = parseRange(range);
+        const file = `${id}-${subset.replace(/[[\]]/g, '')}-${face.file}-${face.style}.woff2`;
+        return { source: path.join(dir, 'files', file), cps: chars.filter(cp => inRange(ranges, cp)) };
+      })
+      .filter(c => c.cps.length && fs.existsSync(c.source))
+      .sort((a, b) => b.cps.length - a.cps.length);
+
+    const claimed = new Set();
+    for (const { source, cps: covered } of candidates) {
+      const cps = covered.filter(cp => !claimed.has(cp));
+      if (!cps.length) continue;
+      cps.forEach(cp => claimed.add(cp));
+
+      const woff2 = await subsetFont(fs.readFileSync(source), String.fromCodePoint(...cps), { targetFormat: 'woff2' });
+      const hash = crypto.createHash('sha256').update(woff2).digest('hex').slice(0, 8);
+      const name = `${path.basename(source, '.woff2')}.${hash}.woff2`;
+      fs.writeFileSync(path.join(outDir, name), woff2);
+
+      out.push({
+        src: `/public/fonts/${langSlug(lang)}/${name}`,
+        style: face.style,
+        weight: face.weight,
+        unicodeRange: formatRange(cps)
+      });
+    }
+  }
+  return out;
+}
+
+async function buildLang(lang, shared, licenses) {
+  const chars = new Set(shared);
+  readStrings(lang).forEach(s => addText(chars, s));
+  const sorted = [...chars].sort((a, b) => a - b);
+
+  const outDir = path.join(FONTS_DIR, langSlug(lang));
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const families = {};
+  let bytes = 0;
+  for (const [family, spec] of poolFaces(languageInfo(MANIFEST, lang).script)) {
+    families[family] = await buildFamily(lang, family, spec, sorted, outDir, licenses);
+    if (!families[family].length) console.warn(`  ${lang}: ${family} covers none of the text — skipped`);
+  }
+  for (const f of fs.readdirSync(outDir)) bytes += fs.statSync(path.join(outDir, f)).size;
+
+  const files = Object.values(families).reduce((n, faces) => n + faces.length, 0);
+  console.log(`  ${lang}: ${sorted.length} chars, ${files} files, ${(bytes / 1024).toFixed(0)} KiB`);
+  return families;
+}
+
+function writeLicenses(licenses) {
+  const lines = [
+    'Fonts in this directory are subsets of the families below, redistributed',
+    'under their original licenses (via Fontsource, https://fontsource.org).',
+    ''
+  ];
+  for (const [family, license] of [...licenses].sort(([a], [b]) => a.localeCompare(b))) {
+    lines.push(`${family} — ${license.type} (${license.url})`);
+    if (license.attribution) lines.push(`  ${license.attribution}`);
+  }
+  fs.writeFileSync(LICENSE_FILE, lines.join('\n') + '\n');
+}
+
+// ── main ────────────────────────────────────────────────
+
+async function main() {
+  const available = localeFiles();
+  const args = process.argv.slice(2);
+  const targets = args.length ? args.map(canonicalTag) : available;
+
+  for (const [i, lang] of targets.entries()) {
+    if (!lang || !available.includes(lang)) {
+      console.error(`Unknown locale: ${args[i]} (expected one of: ${available.join(', ')})`);
+      process.exit(1);
+    }
+  }
+
+  // partial runs keep the other locales' entries; full runs drop removed locales
+  const faces = args.length && fs.existsSync(FACES_FILE)
+    ? JSON.parse(fs.readFileSync(FACES_FILE, 'utf8'))
+    : {};
+  if (!args.length) {
+    for (const dir of fs.existsSync(FONTS_DIR) ? fs.readdirSync(FONTS_DIR) : []) {
+      if (fs.statSync(path.join(FONTS_DIR, dir)).isDirectory()) {
+        fs.rmSync(path.join(FONTS_DIR, dir), { recursive: true });
+      }
+    }
+  }
+
+  const shared = sharedChars(available);
+  const licenses = new Map();
+  console.log(`Subsetting fonts for: ${targets.join(', ')}`);
+  for (const lang of targets) {
+    faces[lang] = await buildLang(lang, shared, licenses);
+  }
+
+  // licenses cover every family still referenced, not just this run's
+  for (const families of Object.values(faces)) {
+    for (const family of Object.keys(families)) {
+      if (licenses.has(family)) continue;
+      const spec = Object.fromEntries(Object.values(MANIFEST).flatMap(e => poolFaces(e.script)))[family];
+      if (!spec) continue;
+      const { dir } = fontsourceDir(family, parseSpec(spec).variable);
+      licenses.set(family, JSON.parse(fs.readFileSync(path.join(dir, 'metadata.json'), 'utf8')).license);
+    }
+  }
+
+  const sortedFaces = Object.fromEntries(Object.keys(faces).sort().map(k => [k, faces[k]]));
+  fs.writeFileSync(FACES_FILE, JSON.stringify(sortedFaces, null, 2) + '\n');
+  writeLicenses(licenses);
+  console.log(`Wrote ${path.relative(ROOT, FACES_FILE)}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
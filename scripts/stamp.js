@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+
+/**
+ * Records modification dates for hand-edited locales and shared inputs.
+ *
+ * Usage:
+ *   node scripts/stamp.js
+ *
+ * Hashes every locale in locales/, the manifest, the references and the templates,
+ * and stamps the ones whose content changed since their entry in
+ * locales/modified.json with the current time. scripts/translate.js stamps its own
+ * output; run this after editing a locale, a shared file or a template by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { canonicalTag } = require('../lib/lang');
+const { sharedFiles, sharedContent, stampModified } = require('../lib/modified');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+const locales = {};
+for (const f of fs.readdirSync(LOCALES_DIR)) {
+  if (!f.endsWith('.json') || f.startsWith('glossary-')) continue;
+  const tag = canonicalTag(path.basename(f, '.json'));
+  if (!tag) continue;
+  locales[tag] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, f), 'utf8'));
+}
+
+for (const file of sharedFiles()) locales[file] = sharedContent(file);
+
+const changed = stampModified(locales);
+console.log(changed.length ? `Stamped: ${changed.join(', ')}` : 'All locales and shared files up to date');
@@ -12,6 +12,7 @@ process.removeAllListeners('warning');
  *   node scripts/translate.js pl --model sonnet
  *   node scripts/translate.js pl --regen-glossary --force
  *   node scripts/translate.js pl de fr --force --model sonnet
+ *   node scripts/translate.js pt-BR zh-TW
  *
  * Requires ANTHROPIC_API_KEY in environment or .env file.
  *
@@ -31,6 +32,11 @@ process.removeAllListeners('warning');
 const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
 const path = require('path');
+const { canonicalTag } = require('../lib/lang');
+const { readManifest, languageInfo } = require('../lib/manifest');
+const { stampModified } = require('../lib/modified');
+const { WORK } = require('../lib/citation');
+const { readReferences, citedNames, citedTitles } = require('../lib/references');
 
 // ── config ──────────────────────────────────────────────
 
@@ -45,44 +51,29 @@ const MODELS = {
   sonnet: 'claude-sonnet-4-5-20250929'
 };
 
-const LANG_NAMES = {
-  pl: 'Polish', de: 'German', fr: 'French', es: 'Spanish',
-  pt: 'Portuguese', it: 'Italian', ja: 'Japanese', zh: 'Chinese (Simplified)',
-  ko: 'Korean', uk: 'Ukrainian', cs: 'Czech', nl: 'Dutch',
-  sv: 'Swedish', da: 'Danish', fi: 'Finnish', nb: 'Norwegian Bokmål',
-  ro: 'Romanian', hu: 'Hungarian', tr: 'Turkish', ar: 'Arabic',
-  hi: 'Hindi', ru: 'Russian'
-};
+// supported languages, names, scripts and quote pairs: locales/manifest.json
+const MANIFEST = readManifest();
+
+// the works the manifesto cites: locales/references.json
+const REFERENCES = readReferences();
 
 // proper names — allowed to be grammatically declined in target language
 // validator checks word-stems, not exact strings
-const PROTECTED_NAMES = [
-  'Szymon P. Pepliński',
-  'Shoshana Zuboff',
-  'Gilbert Simondon',
-  'N. Katherine Hayles',
-  'Byung-Chul Han',
-  'Kyle Chayka',
-  'Douglas Rushkoff',
-  'James Williams',
-  'Kasparov',
-  'Tegmark'
-];
+const PROTECTED_NAMES = [WORK.author.name, ...citedNames(REFERENCES)];
 
 // brand + book titles — must appear verbatim (no declension)
-const PROTECTED_TITLES = [
-  'Generatywnie',
-  'The Age of Surveillance Capitalism',
-  'Du mode d\'existence des objets techniques',
-  'How We Became Posthuman'
-];
+const PROTECTED_TITLES = [WORK.publisher.name, ...citedTitles(REFERENCES)];
 
 // combined for prompt rules
 const PROTECTED_STRINGS = [...PROTECTED_NAMES, ...PROTECTED_TITLES];
 
-// CJK languages produce much shorter text (kanji/kana are denser than Latin).
-// Relax length validation thresholds for these.
-const CJK_LANGS = new Set(['ja', 'zh', 'ko', 'zh-TW', 'zh-CN', 'zh-HK']);
+// CJK scripts produce much shorter text (kanji/kana are denser than Latin).
+// Relax length validation thresholds for languages written in these.
+const CJK_SCRIPTS = new Set(['Jpan', 'Hans', 'Hant', 'Kore']);
+
+function isCJK(lang) {
+  return CJK_SCRIPTS.has(languageInfo(MANIFEST, lang).script);
+}
 
 const ALLOWED_TAGS = ['strong', 'cite', 'em'];
 const TAG_RE = /<\/?([a-zA-Z][a-zA-Z0-9]*)\b[^>]*>/g;
@@ -108,7 +99,24 @@ const DANGEROUS_PATTERNS = [
 ];
 
 // unicode: zero-width and control chars that could hide payloads
-const UNICODE_SUSPICIOUS = /[\u200B\u200C\u200D\uFEFF\u00AD\u2028\u2029\u202A-\u202E\u2066-\u2069\u061C]/g;
+const UNICODE_SUSPICIOUS = /[\u200B\u200C\u200D\uFEFF\u00AD\u2028\u2029\u202A-\u202E\u2066-\u2069\u061C\u200E\u200F]/g;
+
+// bidi marks that real text in these scripts needs — allowed for those targets only.
+// Embeddings, overrides and isolates (U+202A-202E, U+2066-2069) are never allowed.
+const SCRIPT_BIDI_MARKS = {
+  Arab: ['\u061C', '\u200E', '\u200F'],  // ALM, LRM, RLM
+  Hebr: ['\u200E', '\u200F']             // LRM, RLM
+};
+
+function suspiciousUnicode(text, targetLang) {
+  const allowed = SCRIPT_BIDI_MARKS[languageInfo(MANIFEST, targetLang).script] || [];
+  return (text.match(UNICODE_SUSPICIOUS) || []).filter(c => !allowed.includes(c));
+}
+
+// <cite> references point at the source: → in LTR text, mirrored to ← in RTL text
+function referenceArrow(targetLang) {
+  return languageInfo(MANIFEST, targetLang).dir === 'rtl' ? '\u2190' : '\u2192';
+}
 
 // HTML entities that could decode to dangerous content
 const ENCODED_TAG_RE = /&lt;\s*\/?\s*(script|iframe|svg|object|embed|form|img|input|link|meta)/gi;
@@ -180,9 +188,25 @@ const BATCHES_DERIVED = [
     keys: [
       'llms.overview', 'llms.thesis1', 'llms.thesis2', 'llms.thesis3',
       'llms.thesis4', 'llms.thesis5', 'llms.thesis6',
-      'llms.concepts', 'llms.relevance'
+      'llms.concepts', 'llms.relevance',
+      ...REFERENCES.map(ref => `ref.${ref.id}`)
     ],
-    context: 'LLM-optimized summaries for AI search engines. Contains markdown formatting (**, -, \\n) that MUST be preserved verbatim. Use the same translated terms as in the body.'
+    context: 'LLM-optimized summaries for AI search engines. Contains markdown formatting (**, -, \\n) that MUST be preserved verbatim. Each "ref.*" key is a short phrase naming what the manifesto draws from one cited work (listed after its author and title in llms.txt and the bibliography) — lowercase, no final period. Use the same translated terms as in the body.'
+  },
+  {
+    name: 'ui',
+    keys: ['nav.language', 'nav.variant', 'nav.contents', 'nav.references', 'nav.back', 'nav.sectionLink', 'nav.paragraphLink', 'nav.toc', 'nav.top'],
+    context: 'Interface labels for site navigation controls. "Variant" labels the permalink to one generated visual configuration of the page. "Contents" and "References" head the table of contents and the list of cited works, as in a book. "nav.back" is the link from secondary pages (errors, citation) back to the manifesto. "nav.sectionLink" and "nav.paragraphLink" label the small permalink controls beside each heading and paragraph (read by screen readers). "nav.toc" names the table of contents for screen readers (its visible heading is "nav.contents"), "nav.top" is its last link, back to the top of the page. Short plain text, no HTML. Use the conventional wording of websites in the target language.'
+  },
+  {
+    name: 'errors',
+    keys: ['error.400.title', 'error.400.text', 'error.404.title', 'error.404.text', 'error.500.title', 'error.500.text'],
+    context: 'Error pages: 400 (the request could not be understood — a malformed address or an oversized or broken request; shown for any such client error), 404 (no page at the requested address) and 500 (server failed). Titles are headings, texts one or two calm sentences. Short plain text, no HTML. Use the conventional wording of websites in the target language.'
+  },
+  {
+    name: 'cite',
+    keys: ['cite.title', 'cite.intro', 'cite.formats', 'cite.download', 'cite.citedIn'],
+    context: 'Citation block and page: "cite.title" heads it ("Cite this manifesto"), "cite.intro" says the page gives the reference in three citation styles (APA, MLA, Chicago) and as files for reference managers (BibTeX, RIS, CSL-JSON), "cite.formats" links to that page, "cite.download" heads the file links, "cite.citedIn" precedes the numbers of the sections citing a work in the bibliography. Use the terms academic writing in the target language uses. Short plain text, no HTML.'
   }
 ];
 
@@ -317,9 +341,9 @@ function validate(translated, source, targetLang) {
 
     // 8. length sanity (CJK scripts are ~2-4x shorter than Latin)
     const ratio = tgt.length / src.length;
-    const isCJK = CJK_LANGS.has(targetLang);
-    const minRatio = isCJK ? 0.15 : 0.4;
-    const maxRatio = isCJK ? 1.5 : 2.5;
+    const cjk = isCJK(targetLang);
+    const minRatio = cjk ? 0.15 : 0.4;
+    const maxRatio = cjk ? 1.5 : 2.5;
     if (ratio < minRatio) {
       errors.push(`Suspiciously short "${key}": ${Math.round(ratio * 100)}% of original`);
     }
@@ -333,8 +357,9 @@ function validate(translated, source, targetLang) {
     }
 
     // 10. arrow preserved
-    if (src.includes('\u2192') && !tgt.includes('\u2192')) {
-      errors.push(`Arrow symbol \u2192 missing in "${key}"`);
+    const arrow = referenceArrow(targetLang);
+    if (src.includes('\u2192') && !tgt.includes(arrow)) {
+      errors.push(`Arrow symbol ${arrow} missing in "${key}"`);
     }
 
     // 11. security: dangerous patterns
@@ -362,8 +387,8 @@ function validate(translated, source, targetLang) {
     }
 
     // 14. security: unicode zero-width / bidi override chars
-    const unicodeMatches = tgt.match(UNICODE_SUSPICIOUS);
-    if (unicodeMatches) {
+    const unicodeMatches = suspiciousUnicode(tgt, targetLang);
+    if (unicodeMatches.length > 0) {
       const codepoints = [...new Set(unicodeMatches.map(c => 'U+' + c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')))];
       errors.push(`SECURITY: suspicious unicode in "${key}": ${codepoints.join(', ')}`);
     }
@@ -410,37 +435,10 @@ function extractJSON(text) {
 }
 
 // ── typographic quote normalization ──────────────────────
-//    Post-processing: replace ASCII straight " with proper pairs per language.
-
-const TYPOGRAPHIC_QUOTES = {
-  pl: ['\u201E', '\u201D'],  // „ "
-  cs: ['\u201E', '\u201D'],  // „ "
-  de: ['\u201E', '\u201C'],  // „ "
-  hu: ['\u201E', '\u201D'],  // „ "
-  ro: ['\u201E', '\u201D'],  // „ "
-  nl: ['\u201C', '\u201D'],  // " "
-  sv: ['\u201D', '\u201D'],  // " "
-  da: ['\u201C', '\u201D'],  // " "
-  fi: ['\u201D', '\u201D'],  // " "
-  nb: ['\u00AB', '\u00BB'],  // « »
-  fr: ['\u00AB\u202F', '\u202F\u00BB'],  // « » (narrow no-break space)
-  es: ['\u00AB', '\u00BB'],  // « »
-  it: ['\u00AB', '\u00BB'],  // « »
-  pt: ['\u00AB', '\u00BB'],  // « »
-  tr: ['\u201C', '\u201D'],  // " "
-  ar: ['\u00AB', '\u00BB'],  // « »
-  hi: ['\u201C', '\u201D'],  // " "
-  ru: ['\u00AB', '\u00BB'],  // « »
-  uk: ['\u00AB', '\u00BB'],  // « »
-  ja: ['\u300C', '\u300D'],  // 「 」
-  zh: ['\u201C', '\u201D'],  // " "
-  ko: ['\u201C', '\u201D'],  // " "
-};
+//    Post-processing: replace ASCII straight " with the language's pair from the manifest.
 
 function normalizeQuotes(text, langCode) {
-  const pair = TYPOGRAPHIC_QUOTES[langCode];
-  if (!pair) return text;
-  const [open, close] = pair;
+  const [open, close] = languageInfo(MANIFEST, langCode).quotes;
 
   let result = text;
 
@@ -571,10 +569,10 @@ CONTEXT: ${batch.context}
 ${formatGlossary(glossary)}${priorBlock}
 RULES:
 1. Return ONLY valid JSON with the exact same keys. No markdown fences, no explanation.
-2. Proper names (Szymon P. Pepli\u0144ski, Shoshana Zuboff, Gilbert Simondon, N. Katherine Hayles, Byung-Chul Han, Kyle Chayka, Douglas Rushkoff, James Williams, Kasparov, Tegmark) — keep recognizable. Grammatical declension for natural ${langName} grammar IS ALLOWED and encouraged (e.g. "Rushkoffa", "Kasparova"). Do NOT transliterate or translate.
-3. Brand "Generatywnie" and book titles VERBATIM (no declension): "The Age of Surveillance Capitalism", "Du mode d'existence des objets techniques", "How We Became Posthuman".
+2. Proper names (${PROTECTED_NAMES.join(', ')}) — keep recognizable. Grammatical declension for natural ${langName} grammar IS ALLOWED and encouraged (e.g. "Rushkoffa", "Kasparova"). Do NOT transliterate or translate.
+3. Brand "Generatywnie" and book titles VERBATIM (no declension): ${citedTitles(REFERENCES).map(title => `"${title}"`).join(', ')}.
 4. Preserve ALL HTML tags exactly (<strong>, </strong>, <cite>, </cite>, <em>, </em>). Tag count must match source.
-5. Preserve \u2192 arrow symbols in <cite> references.
+5. Preserve \u2192 arrow symbols in <cite> references (right-to-left languages: write \u2190 instead).
 6. Preserve markdown formatting (**, -, \\n) if present.
 7. Academic critical theory register \u2014 maintain precision, rigor, and intellectual depth. Do not simplify.
 8. For array values, return arrays with the SAME number of items.
@@ -649,10 +647,10 @@ Return ONLY the translated text. No quotes around it, no explanation, no labels.
 ${glossaryBlock}${sectionBlock}
 RULES:
 - Use EXACTLY the terms from the GLOSSARY above
-- Proper names (Szymon P. Pepliński, Shoshana Zuboff, Gilbert Simondon, N. Katherine Hayles, Byung-Chul Han, Kyle Chayka, Douglas Rushkoff, James Williams, Kasparov, Tegmark) — keep recognizable. Grammatical declension IS ALLOWED (e.g. "Rushkoffa", "Kasparova"). Do NOT transliterate.
-- Brand "Generatywnie" VERBATIM, book titles VERBATIM (The Age of Surveillance Capitalism, Du mode d'existence des objets techniques, How We Became Posthuman)
+- Proper names (${PROTECTED_NAMES.join(', ')}) — keep recognizable. Grammatical declension IS ALLOWED (e.g. "Rushkoffa", "Kasparova"). Do NOT transliterate.
+- Brand "Generatywnie" VERBATIM, book titles VERBATIM (${citedTitles(REFERENCES).join(', ')})
 - Preserve HTML tags (<strong>, </strong>, <cite>, </cite>) exactly \u2014 same count
-- Preserve \u2192 arrow symbols
+- Preserve \u2192 arrow symbols (right-to-left languages: write \u2190 instead)
 - Preserve markdown formatting (**, -, \\n) if present
 - Academic critical theory register
 - Use proper typographic quotation marks for ${langName} (e.g. Polish: \u201E...\u201D, German: \u201E...\u201C, French: \u00AB...\u00BB). Never leave ASCII straight quotes.
@@ -708,10 +706,10 @@ Return ONLY the translated text. No quotes around it, no explanation, no labels.
 ${glossaryBlock}
 RULES:
 - Use EXACTLY the terms from the GLOSSARY above
-- Proper names (Szymon P. Pepliński, Shoshana Zuboff, Gilbert Simondon, N. Katherine Hayles, Byung-Chul Han, Kyle Chayka, Douglas Rushkoff, James Williams, Kasparov, Tegmark) — keep recognizable. Grammatical declension IS ALLOWED. Do NOT transliterate.
-- Brand "Generatywnie" VERBATIM, book titles VERBATIM (The Age of Surveillance Capitalism, Du mode d'existence des objets techniques, How We Became Posthuman)
+- Proper names (${PROTECTED_NAMES.join(', ')}) — keep recognizable. Grammatical declension IS ALLOWED. Do NOT transliterate.
+- Brand "Generatywnie" VERBATIM, book titles VERBATIM (${citedTitles(REFERENCES).join(', ')})
 - Preserve HTML tags (<strong>, </strong>, <cite>, </cite>) exactly \u2014 same count
-- Preserve \u2192 arrow symbols
+- Preserve \u2192 arrow symbols (right-to-left languages: write \u2190 instead)
 - Preserve markdown formatting (**, -, \\n) if present
 - Academic critical theory register
 - Use proper typographic quotation marks for ${langName} (e.g. Polish: \u201E...\u201D, German: \u201E...\u201C, French: \u00AB...\u00BB). Never leave ASCII straight quotes.
@@ -787,7 +785,7 @@ function findFailedKeys(errors, source, translated, targetLang) {
 
 // ── per-key validation (safety check for semantic fixes) ─
 
-function validateValue(key, tgt, src) {
+function validateValue(key, tgt, src, targetLang) {
   const errors = [];
   if (typeof src !== 'string' || typeof tgt !== 'string') return errors;
 
@@ -828,8 +826,9 @@ function validateValue(key, tgt, src) {
   if (ratio < 0.4) errors.push(`Too short: ${Math.round(ratio * 100)}%`);
   if (ratio > 2.5) errors.push(`Too long: ${Math.round(ratio * 100)}%`);
 
-  if (src.includes('\u2192') && !tgt.includes('\u2192')) {
-    errors.push('Missing \u2192 arrow');
+  const arrow = referenceArrow(targetLang);
+  if (src.includes('\u2192') && !tgt.includes(arrow)) {
+    errors.push(`Missing ${arrow} arrow`);
   }
 
   for (const [pattern, label] of DANGEROUS_PATTERNS) {
@@ -848,8 +847,7 @@ function validateValue(key, tgt, src) {
   ENCODED_TAG_RE.lastIndex = 0;
   if (ENCODED_TAG_RE.test(tgt)) errors.push('SECURITY: encoded HTML tag');
 
-  const um = tgt.match(UNICODE_SUSPICIOUS);
-  if (um) errors.push('SECURITY: suspicious unicode');
+  if (suspiciousUnicode(tgt, targetLang).length > 0) errors.push('SECURITY: suspicious unicode');
 
   if (/\\u003c/gi.test(tgt) || /\\u003e/gi.test(tgt)) {
     errors.push('SECURITY: unicode escape');
@@ -983,10 +981,10 @@ ${currentValue}
 RULES:
 - Return ONLY the corrected translation. No quotes around it, no explanation, no labels.
 - Use EXACTLY the terms from the GLOSSARY above
-- Proper names (Szymon P. Pepliński, Shoshana Zuboff, Gilbert Simondon, N. Katherine Hayles, Byung-Chul Han, Kyle Chayka, Douglas Rushkoff, James Williams, Kasparov, Tegmark) — keep recognizable. Grammatical declension IS ALLOWED. Do NOT transliterate.
+- Proper names (${PROTECTED_NAMES.join(', ')}) — keep recognizable. Grammatical declension IS ALLOWED. Do NOT transliterate.
 - Brand "Generatywnie" and book titles VERBATIM (no declension)
 - Preserve ALL HTML tags exactly (<strong>, </strong>, <cite>, </cite>, <em>, </em>)
-- Preserve \u2192 arrow symbols
+- Preserve \u2192 arrow symbols (right-to-left languages: write \u2190 instead)
 - Preserve markdown formatting (**, -, \\n) if present
 - Academic critical theory register
 - Use proper typographic quotation marks for ${langName} (e.g. Polish: \u201E...\u201D, German: \u201E...\u201C, French: \u00AB...\u00BB). Never leave ASCII straight quotes.`;
@@ -1022,12 +1020,16 @@ function reorderKeys(translated, source) {
 // ── main translate function ─────────────────────────────
 
 async function translate(targetLang, force, modelKey, regenGlossary) {
-  const langName = LANG_NAMES[targetLang];
-  if (!langName) {
-    console.error(`Unknown language: ${targetLang}`);
-    console.error(`Supported: ${Object.keys(LANG_NAMES).join(', ')}`);
+  if (targetLang === 'en') {
+    console.error('en is the source language (locales/en.json) — nothing to translate');
+    process.exit(1);
+  }
+  if (!MANIFEST[targetLang]) {
+    console.error(`Unknown language: ${targetLang} (add it to locales/manifest.json first)`);
+    console.error(`Supported: ${Object.keys(MANIFEST).join(', ')}`);
     process.exit(1);
   }
+  const langName = MANIFEST[targetLang].name;
 
   const outFile = path.join(LOCALES_DIR, `${targetLang}.json`);
   if (fs.existsSync(outFile) && !force) {
@@ -1372,7 +1374,7 @@ async function translate(targetLang, force, modelKey, regenGlossary) {
       }
 
       // safety: run per-key technical validation on the fix
-      const techErrors = validateValue(issue.key, value, src);
+      const techErrors = validateValue(issue.key, value, src, targetLang);
 
       if (techErrors.length > 0) {
         console.log(`reverted (${techErrors[0]})`);
@@ -1415,6 +1417,7 @@ async function translate(targetLang, force, modelKey, regenGlossary) {
   log.result = 'success';
 
   fs.writeFileSync(outFile, JSON.stringify(ordered, null, 2) + '\n', 'utf8');
+  stampModified({ [targetLang]: ordered });
 
   console.log(`\n=== Done ===`);
   console.log(`  Saved: ${outFile}`);
@@ -1448,12 +1451,13 @@ async function main() {
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--force' || args[i] === '--regen-glossary') continue;
     if (args[i] === '--model') { i++; continue; }
-    targetLangs.push(args[i]);
+    // accept any casing (pt-br, pt_BR) — files are saved under the canonical tag
+    targetLangs.push(canonicalTag(args[i]) || args[i]);
   }
 
   if (targetLangs.length === 0) {
     console.log('Usage: node scripts/translate.js <lang> [lang2 ...] [--force] [--model opus|sonnet] [--regen-glossary]');
-    console.log(`\nLanguages: ${Object.keys(LANG_NAMES).join(', ')}`);
+    console.log(`\nLanguages: ${Object.keys(MANIFEST).join(', ')}`);
     console.log(`Models: ${Object.entries(MODELS).map(([k, v]) => `${k} → ${v}`).join(', ')}`);
     console.log(`Default model: opus`);
     process.exit(0);
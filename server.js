@@ -1,38 +1,91 @@
 const express = require('express');
 const crypto = require('crypto');
+const http = require('http');
 const path = require('path');
 const fs = require('fs');
+const util = require('util');
+const zlib = require('zlib');
+const { canonicalTag, langSlug, lookup, negotiate } = require('./lib/lang');
+const { readManifest, languageInfo } = require('./lib/manifest');
+const { SEED_RE, resolveSeed, pickVariant } = require('./lib/generative');
+const { readFaces, missingFonts, fontFaceCss } = require('./lib/fonts');
+const {
+  REPORT_PATH, REPORT_GROUP, inlineMarker, inlineHashes, contentSecurityPolicy, candidatePolicy, parseReports
+} = require('./lib/csp');
+const { ROOT, readModified, recordedDate, sharedFiles, sharedContent } = require('./lib/modified');
+const { SECTIONS, sectionNumber, blockId, toText, toMarkdown, sanitizeHtml } = require('./lib/manifesto');
+const { buildEpub } = require('./lib/epub');
+const { SITE, WORK, STYLES: CITATION_STYLES, FILES: CITATION_FILES, citation, formatted } = require('./lib/citation');
+const {
+  REFERENCES_FILE, readReferences, authorName, fullTitle, referenceUrl, formatReference, referenceJsonLd
+} = require('./lib/references');
+const log = require('./lib/log');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
+// Cloud Run allows 10 s between SIGTERM and SIGKILL
+const DRAIN_TIMEOUT_MS = 8000;
+let draining = false;
+// CSP_REPORT_ONLY=1: also send the candidate policy from lib/csp.js as Report-Only
+const CSP_REPORT_ONLY = process.env.CSP_REPORT_ONLY === '1';
 
 // ── security: disable fingerprinting ──
 app.disable('x-powered-by');
 app.enable('strict routing');
 
-// ── security: headers + CSP nonce ──
+// ── request IDs, access log, metrics ──
+//    The ID is Cloud Run's trace id when present, else random, echoed as X-Request-Id.
+//    The access log has method, path, status, size and latency — never the IP, user
+//    agent, referrer or query string. Probes are neither logged nor counted.
+const PROBES = new Set(['/healthz', '/readyz']);
+const TRACE_RE = /^([0-9a-f]{32})(?:\/|$)/i;
+
 app.use((req, res, next) => {
-  // generate unique nonce per request for inline scripts/styles
-  res.locals.nonce = crypto.randomBytes(16).toString('base64');
+  const trace = TRACE_RE.exec(req.get('X-Cloud-Trace-Context') || '');
+  req.id = trace ? trace[1].toLowerCase() : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  // while draining, don't let keep-alive connections pick up more requests
+  if (draining) res.set('Connection', 'close');
+  if (PROBES.has(req.path)) return next();
+
+  const start = process.hrtime.bigint();
+  const urlPath = req.path;
+  res.on('finish', () => {
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    countRequest(req, res, urlPath);
+    log.info(`${req.method} ${urlPath} ${res.statusCode} ${ms.toFixed(1)}ms`, {
+      requestId: req.id,
+      httpRequest: {
+        requestMethod: req.method,
+        requestUrl: urlPath,
+        status: res.statusCode,
+        responseSize: Number(res.get('Content-Length')) || 0,
+        latency: `${(ms / 1000).toFixed(4)}s`,
+        protocol: `HTTP/${req.httpVersion}`
+      }
+    });
+  });
+  next();
+});
+
+// ── security: headers + CSP ──
+//    inline blocks are allowed by hash (lib/csp.js): pages replace this policy with
+//    one listing their own blocks, everything else gets none
+function setCsp(res, hashes) {
+  res.set('Content-Security-Policy', contentSecurityPolicy(hashes));
+  if (CSP_REPORT_ONLY) res.set('Content-Security-Policy-Report-Only', candidatePolicy(hashes));
+}
 
+app.use((req, res, next) => {
   res.set({
     'X-Content-Type-Options': 'nosniff',
     'X-Frame-Options': 'DENY',
     'X-XSS-Protection': '1; mode=block',
     'Referrer-Policy': 'strict-origin-when-cross-origin',
     'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
-    'Content-Security-Policy': [
-      "default-src 'none'",
-      `script-src 'nonce-${res.locals.nonce}'`,
-      `style-src 'nonce-${res.locals.nonce}' https://fonts.googleapis.com`,
-      "font-src https://fonts.gstatic.com",
-      "connect-src 'self'",
-      "img-src 'self' data: https://generatywnie.com",
-      "base-uri 'self'",
-      "form-action 'none'",
-      "upgrade-insecure-requests"
-    ].join('; ')
+    'Reporting-Endpoints': `${REPORT_GROUP}="${REPORT_PATH}"`
   });
+  setCsp(res);
 
   // HSTS — only in production behind HTTPS
   if (process.env.NODE_ENV === 'production') {
@@ -43,19 +96,328 @@ app.use((req, res, next) => {
 });
 
 // ── load available languages ──
+//    Parsed once at startup, then hot-reloaded when files in LOCALES_DIR change.
+//    `translations` and `langs` are swapped as a whole so a request never sees
+//    a half-updated set; a file that fails to parse keeps its last good version.
 const LOCALES_DIR = path.join(__dirname, 'locales');
-const translations = {};
-const langs = [];
+const MANIFEST = 'manifest.json';
+const MODIFIED = 'modified.json';
+const REFERENCES = path.basename(REFERENCES_FILE);
+const RELOAD_DEBOUNCE_MS = 150;
+let translations = {};
+let langs = [];
+let manifest = readManifest();
+let references = readReferences();
+let modified = readModified();
+let contentDates = {};
+let fileDates = {};         // 'locales/manifest.json', 'templates/page.ejs', … → Date
+let languagesDate = null;   // last reload that changed the language list
+// subsetted fonts are built with the image (npm run fonts) and only read at startup
+const faces = readFaces();
+
+// locales/pt-BR.json → 'pt-BR'; null for glossaries and non-locale files
+function localeFileLang(file) {
+  if (!file.endsWith('.json') || file.startsWith('glossary-')) return null;
+  return canonicalTag(file.slice(0, -'.json'.length));
+}
+
+// throws with a readable reason if the file is not a usable locale
+function readLocale(file) {
+  const data = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('expected a JSON object of key → string');
+  }
+  for (const [key, value] of Object.entries(data)) {
+    const ok = typeof value === 'string' ||
+      (Array.isArray(value) && value.every(v => typeof v === 'string'));
+    if (!ok) throw new Error(`"${key}" must be a string or an array of strings`);
+  }
+  return data;
+}
+
+// ── coverage: which keys each language serves from English ──
+//    missing  — key absent from the locale file
+//    fallback — every key rendered from en.json (missing, empty, or wrong type)
+//    extra    — keys en.json no longer has
+let coverage = {};
+
+function valueType(v) {
+  return Array.isArray(v) ? 'array' : typeof v;
+}
+
+function isUsable(value, source) {
+  if (valueType(value) !== valueType(source)) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  return value.length === source.length;
+}
+
+function buildCoverage(all) {
+  const source = all.en;
+  const sourceKeys = Object.keys(source);
+  const report = {};
+
+  for (const lang of Object.keys(all).sort()) {
+    const locale = all[lang];
+    const missing = sourceKeys.filter(k => !(k in locale));
+    const fallback = sourceKeys.filter(k => !(k in locale) || !isUsable(locale[k], source[k]));
+    const extra = Object.keys(locale).filter(k => !(k in source));
+    report[lang] = {
+      total: sourceKeys.length,
+      translated: sourceKeys.length - fallback.length,
+      ratio: Number(((sourceKeys.length - fallback.length) / sourceKeys.length).toFixed(4)),
+      missing,
+      fallback,
+      extra
+    };
+  }
+  return report;
+}
+
+// last change of each locale's content: the date recorded in locales/modified.json
+// while the hash still matches, otherwise the file's mtime
+function buildContentDates(all) {
+  const dates = {};
+  for (const [lang, data] of Object.entries(all)) {
+    dates[lang] = recordedDate(modified, lang, data);
+    if (dates[lang]) continue;
+    try {
+      dates[lang] = fs.statSync(path.join(LOCALES_DIR, `${lang}.json`)).mtime;
+    } catch {
+      dates[lang] = new Date();
+    }
+    log.warn(`Locale ${lang}: not stamped in locales/${MODIFIED} — using file mtime (npm run stamp)`);
+  }
+  return dates;
+}
+
+function setLocales(next) {
+  const nextCoverage = buildCoverage(next);
+  const nextDates = buildContentDates(next);
+  const nextLangs = Object.keys(next).sort();
+  // the list as first loaded has no date of its own; a reload that changes it does
+  if (langs.length && nextLangs.join() !== langs.join()) languagesDate = new Date();
+  translations = next;
+  langs = nextLangs;
+  coverage = nextCoverage;
+  contentDates = nextDates;
 
-fs.readdirSync(LOCALES_DIR)
-  .filter(f => f.endsWith('.json') && !f.startsWith('glossary-'))
-  .forEach(f => {
-    const lang = f.replace('.json', '');
-    translations[lang] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, f), 'utf8'));
-    langs.push(lang);
+  for (const lang of langs) {
+    if (!manifest[lang]) {
+      log.info(`Locale ${lang}: no entry in locales/${MANIFEST} — using ${languageInfo(manifest, lang).name} defaults`);
+    }
+    const c = coverage[lang];
+    if (c.fallback.length > 0) {
+      log.info(`Locale ${lang}: ${c.fallback.length}/${c.total} keys fall back to English (${c.fallback.join(', ')})`);
+    }
+  }
+  for (const lang of missingFonts(faces, langs)) {
+    log.warn(`Locale ${lang}: no font subsets — system fonts until npm run fonts`);
+  }
+}
+
+// ── translation lookup with per-key English fallback ──
+//    t(key)          → localized value, or the English one if this locale lacks it
+//    t.fromSource(key) → true when this locale lacks the key and English stands in
+//    t.langAttr(key) → ' lang="en"' when the value came from English, so assistive
+//                      tech switches voice for that element ('' otherwise); on
+//                      right-to-left pages also ' dir="ltr"' so it isn't mirrored
+function localize(lang) {
+  const locale = translations[lang];
+  const source = translations.en;
+  const fallback = new Set(coverage[lang] ? coverage[lang].fallback : Object.keys(source));
+  const enAttr = languageInfo(manifest, lang).dir === 'rtl' ? ' lang="en" dir="ltr"' : ' lang="en"';
+
+  const t = (key) => {
+    if (!fallback.has(key)) return locale[key];
+    return key in source ? source[key] : '';
+  };
+  t.fromSource = (key) => lang !== 'en' && fallback.has(key);
+  t.langAttr = (key) => (t.fromSource(key) ? enAttr : '');
+  return t;
+}
+
+// when what a reader sees in this language last changed — English counts too
+// while some keys fall back to it
+function contentDate(lang) {
+  const own = contentDates[lang];
+  const c = coverage[lang];
+  return c && c.fallback.length > 0 && contentDates.en > own ? contentDates.en : own;
+}
+
+// when any response in this language last changed: its content, and what every
+// language shares — manifest.json (names, direction, quotes), references.json and
+// the language list (switcher, hreflang) once a reload has changed it
+function responseDate(lang) {
+  const shared = [fileDates['locales/manifest.json'], fileDates['locales/references.json'], languagesDate];
+  return latest(contentDate(lang), ...shared.filter(Boolean));
+}
+
+// last change of each shared input: the date recorded in locales/modified.json
+// while the hash still matches, otherwise the file's mtime
+function buildFileDates() {
+  const dates = {};
+  for (const file of sharedFiles()) {
+    try {
+      dates[file] = recordedDate(modified, file, sharedContent(file));
+      if (dates[file]) continue;
+      dates[file] = fs.statSync(path.join(ROOT, file)).mtime;
+      log.warn(`${file}: not stamped in locales/${MODIFIED} — using file mtime (npm run stamp)`);
+    } catch (err) {
+      log.error(`${file}: unreadable (${err.message}) — no date`);
+    }
+  }
+  return dates;
+}
+
+// the manifesto's citation in this language: localized title, URL and quotation marks
+function citationFor(lang) {
+  return citation({
+    lang,
+    slug: langSlug(lang),
+    title: localize(lang)('jsonld.headline'),
+    quotes: languageInfo(manifest, lang).quotes
   });
+}
 
-console.log(`Loaded languages: ${langs.join(', ')}`);
+// the works cited, in this language: the formatted entry, its localized note on
+// what the manifesto draws from it, and the sections citing it
+function bibliography(lang) {
+  const t = localize(lang);
+  return references.map(ref => ({
+    id: ref.id,
+    authors: ref.authors.map(authorName),
+    title: fullTitle(ref),
+    year: ref.year,
+    lang: ref.lang,
+    html: formatReference(ref),
+    note: t(`ref.${ref.id}`),
+    url: referenceUrl(ref),
+    jsonLd: referenceJsonLd(ref),
+    sections: ref.cited.map(key => {
+      const i = SECTIONS.findIndex(s => s.key === key);
+      return { id: SECTIONS[i].id, number: sectionNumber(i), title: toText(t(`${key}.title`)) };
+    })
+  }));
+}
+
+// a change to a template or a partial changes what it renders, so it counts as a
+// modification
+function templateDate(view) {
+  const partials = Object.keys(fileDates).filter(file => file.startsWith('templates/partials/'));
+  return latest(...[`templates/${view}.ejs`, ...partials].map(file => fileDates[file]).filter(Boolean));
+}
+
+function loadLocales() {
+  fileDates = buildFileDates();
+  const next = {};
+  fs.readdirSync(LOCALES_DIR).forEach(f => {
+    const lang = localeFileLang(f);
+    if (!lang) return;
+    try {
+      next[lang] = readLocale(f);
+    } catch (err) {
+      log.error(`Skipping locale ${f}: ${err.message}`);
+    }
+  });
+  if (!next.en) throw new Error('locales/en.json is missing or invalid');
+  setLocales(next);
+}
+
+function reloadLocales(files) {
+  const next = { ...translations };
+  let changed = false;
+
+  if (files.includes(MODIFIED)) {
+    modified = readModified();
+    fileDates = buildFileDates();
+    changed = true;
+    log.info(`Reloaded ${MODIFIED}`);
+  }
+
+  if (files.includes(MANIFEST)) {
+    try {
+      manifest = readManifest();
+      fileDates = buildFileDates();
+      changed = true;
+      log.info(`Reloaded ${MANIFEST}`);
+    } catch (err) {
+      log.error(`Invalid ${MANIFEST} — keeping last good version: ${err.message}`);
+    }
+  }
+
+  if (files.includes(REFERENCES)) {
+    try {
+      references = readReferences();
+      fileDates = buildFileDates();
+      changed = true;
+      log.info(`Reloaded ${REFERENCES}`);
+    } catch (err) {
+      log.error(`Invalid ${REFERENCES} — keeping last good version: ${err.message}`);
+    }
+  }
+
+  files.forEach(f => {
+    const lang = localeFileLang(f);
+    if (!lang) return;
+
+    if (!fs.existsSync(path.join(LOCALES_DIR, f))) {
+      if (!(lang in next)) return;
+      if (lang === 'en') {
+        log.error('Locale en.json removed — keeping last good version (English is the fallback)');
+        return;
+      }
+      delete next[lang];
+      changed = true;
+      log.info(`Removed language: ${lang}`);
+      return;
+    }
+
+    try {
+      const data = readLocale(f);
+      const verb = lang in next ? 'Reloaded' : 'Added';
+      next[lang] = data;
+      changed = true;
+      log.info(`${verb} language: ${lang}`);
+    } catch (err) {
+      const kept = lang in next ? 'keeping last good version' : 'not loaded';
+      log.error(`Invalid locale ${f} — ${kept}: ${err.message}`);
+    }
+  });
+
+  if (changed) {
+    setLocales(next);
+    log.info(`Loaded languages: ${langs.join(', ')}`);
+    prerenderPages();
+  }
+}
+
+function watchLocales() {
+  const pending = new Set();
+  let timer = null;
+
+  // editors often save via rename or several writes — collect and debounce
+  const watcher = fs.watch(LOCALES_DIR, (event, file) => {
+    if (!file) return;
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = [...pending];
+      pending.clear();
+      reloadLocales(files);
+    }, RELOAD_DEBOUNCE_MS);
+  });
+
+  watcher.on('error', err => {
+    log.error(`Locale watcher stopped: ${err.message}`);
+  });
+  return watcher;
+}
+
+loadLocales();
+// scripts/export.js requires this module to render through the real routes — no watcher then
+const localeWatcher = require.main === module ? watchLocales() : null;
+
+log.info(`Loaded languages: ${langs.join(', ')}`);
 
 // ── EJS setup ──
 app.set('view engine', 'ejs');
@@ -68,20 +430,166 @@ app.use('/public', express.static(path.join(__dirname, 'public'), {
 }));
 
 // ── detect language from Accept-Language header ──
+//    RFC 4647 lookup (lib/lang.js): q-ordered, q=0 excludes, * takes English first;
+//    nothing acceptable → en
 function detectLang(req) {
-  const header = req.get('Accept-Language');
-  if (!header) return 'en';
-  const preferred = header
-    .split(',')
-    .map(part => {
-      const [locale, q] = part.trim().split(';q=');
-      return { lang: locale.trim().substring(0, 2).toLowerCase(), q: q ? parseFloat(q) : 1 };
-    })
-    .sort((a, b) => b.q - a.q)
-    .find(item => langs.includes(item.lang));
-  return preferred ? preferred.lang : 'en';
+  return negotiate(req.get('Accept-Language'), langs, 'en') || 'en';
+}
+
+// ── remembered language choice (set only by the language switcher) ──
+const LANG_COOKIE = 'lang';
+const LANG_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+function cookieLang(req) {
+  const header = req.get('Cookie');
+  if (!header) return null;
+  const pair = header.split(';').map(c => c.trim().split('=')).find(([name]) => name === LANG_COOKIE);
+  return pair ? resolveLang(pair[1] || '') : null;
+}
+
+// explicit choice wins over Accept-Language; responses built on this vary by both
+const PREFERRED_VARY = 'Accept-Language, Cookie';
+
+function preferredLang(req) {
+  return cookieLang(req) || detectLang(req);
+}
+
+// ── resolve a URL segment (/pt-br/) to a loaded language tag (pt-BR) ──
+function resolveLang(segment) {
+  const tag = canonicalTag(segment);
+  return tag && langs.includes(tag) ? tag : null;
 }
 
+// ── conditional GET ──
+//    strong ETag over the exact bytes sent, Last-Modified from responseDate();
+//    true when the client's copy is current and a 304 should go out instead
+function strongEtag(body) {
+  return `"${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`;
+}
+
+function notModified(req, res, etag, lastModified) {
+  res.set({ 'ETag': etag, 'Last-Modified': lastModified.toUTCString() });
+  return req.fresh;
+}
+
+function latest(...dates) {
+  return new Date(Math.max(...dates));
+}
+
+// ── health: liveness, readiness ──
+//    ready = English and the locale set loaded and valid, and not shutting down
+app.get('/healthz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ status: 'ok' });
+});
+
+app.get('/readyz', (req, res) => {
+  const ready = !draining && Boolean(translations.en) && langs.length > 0;
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({
+    status: draining ? 'draining' : ready ? 'ready' : 'loading',
+    languages: langs
+  });
+});
+
+// ── metrics (Prometheus text format) ──
+//    requests by language, route pattern and status — labels stay low-cardinality:
+//    languages outside the loaded set count as "other", unrouted paths as "unmatched"
+const requestCounts = new Map();  // 'lang\troute\tstatus' → count
+
+function countRequest(req, res, urlPath) {
+  let lang = '-';
+  if (req.params && req.params.lang) {
+    const tag = canonicalTag(req.params.lang);
+    lang = tag && langs.includes(tag) ? tag : 'other';
+  }
+  const route = req.route ? req.route.path : urlPath.startsWith('/public/') ? '/public' : 'unmatched';
+  const key = [lang, route, res.statusCode].join('\t');
+  requestCounts.set(key, (requestCounts.get(key) || 0) + 1);
+}
+
+// {name="value",…} with values escaped as the exposition format requires
+function metricLabels(labels) {
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${Object.entries(labels).map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+app.get('/metrics', (req, res) => {
+  const lines = [
+    '# HELP http_requests_total Requests by language, route and status.',
+    '# TYPE http_requests_total counter'
+  ];
+  for (const [key, count] of [...requestCounts].sort()) {
+    const [lang, route, status] = key.split('\t');
+    lines.push(`http_requests_total${metricLabels({ lang, route, status })} ${count}`);
+  }
+  lines.push(
+    '# HELP csp_reports_total CSP violations by disposition, directive and blocked origin.',
+    '# TYPE csp_reports_total counter'
+  );
+  for (const [key, count] of [...cspReports].sort()) {
+    const [disposition, directive, blocked] = key.split('\t');
+    lines.push(`csp_reports_total${metricLabels({ disposition, directive, blocked })} ${count}`);
+  }
+  lines.push(
+    '# HELP locales_loaded Languages currently loaded.',
+    '# TYPE locales_loaded gauge',
+    `locales_loaded ${langs.length}`,
+    '# HELP process_uptime_seconds Seconds since the process started.',
+    '# TYPE process_uptime_seconds gauge',
+    `process_uptime_seconds ${Math.round(process.uptime())}`
+  );
+  res.set('Cache-Control', 'no-store');
+  res.type('text/plain; version=0.0.4').send(lines.join('\n') + '\n');
+});
+
+// ── CSP violation reports ──
+//    report-uri (application/csp-report) and report-to (application/reports+json)
+//    both land here. Bodies are size-capped, reports validated and reduced to
+//    directive + blocked origin (lib/csp.js), then counted for /metrics. A global
+//    rate limit keeps a noisy extension or a flood from costing more than a counter
+//    bump; each new combination is logged once.
+const REPORT_BODY_LIMIT = '16kb';
+const REPORT_BATCH_MAX = 20;
+const REPORT_RATE = { windowMs: 60 * 1000, max: 120 };
+const REPORT_KEYS_MAX = 500;
+
+const cspReports = new Map();  // 'disposition\tdirective\tblocked' → count
+let reportWindow = { start: 0, count: 0 };
+
+function reportRateLimited() {
+  const now = Date.now();
+  if (now - reportWindow.start >= REPORT_RATE.windowMs) reportWindow = { start: now, count: 0 };
+  reportWindow.count++;
+  return reportWindow.count > REPORT_RATE.max;
+}
+
+app.post(REPORT_PATH,
+  (req, res, next) => {
+    if (!reportRateLimited()) return next();
+    res.set('Retry-After', String(Math.ceil(REPORT_RATE.windowMs / 1000)));
+    res.status(429).end();
+  },
+  express.json({
+    type: ['application/csp-report', 'application/reports+json', 'application/json'],
+    limit: REPORT_BODY_LIMIT
+  }),
+  (req, res) => {
+    const reports = parseReports(req.body, REPORT_BATCH_MAX);
+    if (reports.length === 0) return res.status(400).end();
+
+    for (const r of reports) {
+      let key = [r.disposition, r.directive, r.blocked].join('\t');
+      if (!cspReports.has(key) && cspReports.size >= REPORT_KEYS_MAX) {
+        key = [r.disposition, r.directive, 'other'].join('\t');
+      }
+      if (!cspReports.has(key)) log.warn('CSP violation', { requestId: req.id, cspViolation: r });
+      cspReports.set(key, (cspReports.get(key) || 0) + 1);
+    }
+    res.status(204).end();
+  }
+);
+
 // ── favicon.ico fallback ──
 app.get('/favicon.ico', (req, res) => {
   res.redirect(301, '/public/favicon.svg');
@@ -112,90 +620,301 @@ Sitemap: https://generatywnie.com/sitemap.xml`
   );
 });
 
-// ── sitemap.xml — dynamic, all languages with hreflang ──
+// ── sitemap.xml — dynamic, all languages with hreflang, lastmod from content ──
 app.get('/sitemap.xml', (req, res) => {
-  const today = new Date().toISOString().slice(0, 10);
   const urls = langs.map(l => {
     const alternates = langs
-      .map(al => `      <xhtml:link rel="alternate" hreflang="${al}" href="https://generatywnie.com/${al}/"/>`)
+      .map(al => `      <xhtml:link rel="alternate" hreflang="${al}" href="https://generatywnie.com/${langSlug(al)}/"/>`)
       .join('\n');
     return `  <url>
-    <loc>https://generatywnie.com/${l}/</loc>
-    <lastmod>${today}</lastmod>
+    <loc>https://generatywnie.com/${langSlug(l)}/</loc>
+    <lastmod>${contentDate(l).toISOString().slice(0, 10)}</lastmod>
     <changefreq>monthly</changefreq>
     <priority>${l === 'en' ? '1.0' : '0.9'}</priority>
 ${alternates}
   </url>`;
   }).join('\n');
 
-  res.type('application/xml').send(
-`<?xml version="1.0" encoding="UTF-8"?>
+  const body = `<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
         xmlns:xhtml="http://www.w3.org/1999/xhtml">
 ${urls}
-</urlset>`
-  );
+</urlset>`;
+
+  res.type('application/xml');
+  if (notModified(req, res, strongEtag(body), latest(...langs.map(responseDate)))) {
+    return res.status(304).end();
+  }
+  res.send(body);
+});
+
+// ── translation coverage report (machine-readable) ──
+app.get('/coverage.json', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.json({ source: 'en', languages: coverage });
 });
 
 // ── root redirect ──
+//    not permanent: the target depends on the visitor's headers and remembered choice
 app.get('/', (req, res) => {
-  const lang = detectLang(req);
-  res.redirect(301, `/${lang}/`);
+  const lang = preferredLang(req);
+  res.set('Vary', PREFERRED_VARY);
+  res.redirect(302, `/${langSlug(lang)}/`);
 });
 
-// ── llms.txt per language ──
-app.get('/:lang/llms.txt', (req, res) => {
-  const lang = req.params.lang;
-  if (!LANG_RE.test(lang) || !langs.includes(lang)) return res.status(404).send('Not found');
-  const t = (key) => translations[lang][key] || `[MISSING: ${key}]`;
+// ── language switcher: remember the choice, then show that language ──
+//    the #section fragment of the switcher link survives the redirect
+app.get('/language/:lang', (req, res, next) => {
+  const lang = resolveLang(req.params.lang);
+  if (!lang) return notFound(req, res, next);
 
-  res.type('text/plain; charset=utf-8').send(
-`# Generatywnie: ${t('header.title')}
+  res.cookie(LANG_COOKIE, langSlug(lang), {
+    maxAge: LANG_COOKIE_MAX_AGE,
+    path: '/',
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production'
+  });
+  res.set('Cache-Control', 'no-store');
+  res.redirect(303, `/${langSlug(lang)}/`);
+});
 
-> ${t('header.subtitle')}
+// ── llms.txt and llms-full.txt per language ──
+//    llms.txt is the summary (templates/llms.ejs); llms-full.txt the whole manifesto
+//    as markdown (templates/llms-full.ejs), from the same section keys as the page
+function sendLlms(view) {
+  return (req, res, next) => {
+    const lang = resolveLang(req.params.lang);
+    if (!lang) return notFound(req, res, next);
+    const t = localize(lang);
+    const md = (key) => toMarkdown(t(key));
+    const locals = {
+      lang, slug: langSlug(lang), t, md, sections: SECTIONS, sectionNumber,
+      references: bibliography(lang), site: SITE, work: WORK, citation: toMarkdown(formatted(citationFor(lang)).chicago)
+    };
 
-By Szymon P. Pepliński — https://generatywnie.com/${lang}/
+    app.render(view, locals, (err, body) => {
+      if (err) return next(err);
+      res.type('text/plain; charset=utf-8');
+      if (notModified(req, res, strongEtag(body), latest(responseDate(lang), templateDate(view)))) {
+        return res.status(304).end();
+      }
+      res.send(body);
+    });
+  };
+}
 
-## Overview
+app.get('/:lang/llms.txt', sendLlms('llms'));
+app.get('/:lang/llms-full.txt', sendLlms('llms-full'));
 
-${t('llms.overview')}
+// ── content API ──
+//    The manifesto as data for tools that would otherwise scrape the page: sections
+//    in order, each block as sanitized HTML and as plain text, marked lang "en" where
+//    the locale falls back to English. v1 only grows — fields are added, never
+//    renamed or removed. Public and read-only, so any origin may fetch it.
+const API_VERSION = 1;
 
-## Core Theses
+function manifestoData(lang) {
+  const t = localize(lang);
+  const info = languageInfo(manifest, lang);
+  const slug = langSlug(lang);
+  const content = (key) => {
+    const html = t(key);
+    const out = { html: sanitizeHtml(html), text: toText(html) };
+    if (t.fromSource(key)) out.lang = 'en';
+    return out;
+  };
 
-1. ${t('llms.thesis1')}
+  return {
+    version: API_VERSION,
+    language: {
+      tag: lang,
+      slug,
+      name: info.name,
+      native: info.native,
+      dir: info.dir,
+      script: info.script
+    },
+    url: `${SITE}/${slug}/`,
+    published: WORK.published,
+    modified: contentDate(lang).toISOString(),
+    author: WORK.author.name,
+    publisher: WORK.publisher.name,
+    title: content('header.title'),
+    subtitle: content('header.subtitle'),
+    sections: SECTIONS.map((section, i) => ({
+      id: section.id,
+      number: sectionNumber(i),
+      title: content(`${section.key}.title`),
+      blocks: section.blocks.map(block => ({
+        id: blockId(section, block),
+        type: block === 'blockquote' ? 'blockquote' : 'paragraph',
+        ...content(`${section.key}.${block}`)
+      }))
+    })),
+    references: bibliography(lang).map(ref => toText(ref.html)),
+    bibliography: references.map(ref => ({
+      id: ref.id,
+      type: ref.type,
+      authors: ref.authors.map(a => ({ given: a.given, family: a.family })),
+      title: ref.title,
+      ...(ref.subtitle && { subtitle: ref.subtitle }),
+      ...(ref.publisher && { publisher: ref.publisher }),
+      year: ref.year,
+      lang: ref.lang,
+      ...(ref.isbn && { isbn: ref.isbn }),
+      ...(ref.doi && { doi: ref.doi }),
+      note: toText(t(`ref.${ref.id}`)),
+      sections: ref.cited.map(key => SECTIONS.find(s => s.key === key).id)
+    })),
+    citation: Object.fromEntries(Object.entries(formatted(citationFor(lang)))
+      .map(([style, html]) => [style, toText(html)]))
+  };
+}
 
-2. ${t('llms.thesis2')}
+app.get(`/api/v${API_VERSION}/:lang/manifesto.json`, (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  const lang = resolveLang(req.params.lang);
+  if (!lang) {
+    return res.status(404).json({ error: 'Unknown language', languages: langs.map(langSlug) });
+  }
 
-3. ${t('llms.thesis3')}
+  const body = JSON.stringify(manifestoData(lang));
+  res.set({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'public, max-age=3600'
+  });
+  if (notModified(req, res, strongEtag(body), responseDate(lang))) {
+    return res.status(304).end();
+  }
+  res.send(body);
+});
 
-4. ${t('llms.thesis4')}
+// ── EPUB per language ──
+//    the content API's data as an e-book, zipped once per language and kept until
+//    the next locale reload
+let epubs = new Map();  // lang → Promise<{ body, etag, modified }>
 
-5. ${t('llms.thesis5')}
+async function renderEpub(lang) {
+  const t = localize(lang);
+  const body = buildEpub(
+    { ...manifestoData(lang), modified: contentDate(lang) },
+    { contents: t('nav.contents'), references: t('nav.references') }
+  );
+  return { body, etag: strongEtag(body), modified: responseDate(lang) };
+}
 
-6. ${t('llms.thesis6')}
+app.get('/:lang/manifesto.epub', (req, res, next) => {
+  const lang = resolveLang(req.params.lang);
+  if (!lang) return notFound(req, res, next);
 
-## Key Concepts
+  cachePage(epubs, lang, () => renderEpub(lang)).then(epub => {
+    res.set({
+      'Content-Type': 'application/epub+zip',
+      'Content-Disposition': `attachment; filename="generatywnie-${langSlug(lang)}.epub"`,
+      'Cache-Control': 'public, max-age=3600'
+    });
+    if (notModified(req, res, epub.etag, epub.modified)) {
+      return res.status(304).end();
+    }
+    res.send(epub.body);
+  }).catch(next);
+});
 
-${t('llms.concepts')}
+// ── citation ──
+//    /:lang/cite shows the formatted styles and links the files; /:lang/cite.bib,
+//    .ris and .json are the files (lib/citation.js). The page is rendered once per
+//    language and served like the manifesto.
+let citePages = new Map();  // lang → Promise<page>
 
-## Key References
+function renderCitePage(lang) {
+  const t = localize(lang);
+  const info = languageInfo(manifest, lang);
+  const variant = pickVariant(resolveSeed(), info.script);
+  const fontFaces = fontFaceCss(faces, lang, variant.families);
+  const c = citationFor(lang);
+  const locals = {
+    lang, langs, langSlug, info, variant, fontFaces, t, site: SITE, work: WORK,
+    styles: CITATION_STYLES, cite: formatted(c), files: CITATION_FILES,
+    bibtex: CITATION_FILES.bib.render(c)
+  };
+  return renderHtml('cite', locals, latest(responseDate(lang), templateDate('cite')));
+}
 
-- Shoshana Zuboff — data capitalism and surveillance
-- Byung-Chul Han — analytics of fatigue and optimization culture
-- Kyle Chayka — algorithmic homogenization
-- Gilbert Simondon — Du mode d'existence des objets techniques (technical ontology)
-- N. Katherine Hayles — How We Became Posthuman (distributed agency)
-- Douglas Rushkoff, James Williams — feed-based system critique
+app.get('/:lang/cite', (req, res, next) => {
+  const lang = resolveLang(req.params.lang);
+  if (!lang) return notFound(req, res, next);
 
-## Relevance
+  cachePage(citePages, lang, () => renderCitePage(lang))
+    .then(page => sendPage(req, res, page))
+    .catch(next);
+});
 
-${t('llms.relevance')}
+app.get('/:lang/cite.:ext', (req, res, next) => {
+  const lang = resolveLang(req.params.lang);
+  const file = Object.hasOwn(CITATION_FILES, req.params.ext) ? CITATION_FILES[req.params.ext] : null;
+  if (!lang || !file) return notFound(req, res, next);
 
-## Citation
+  const body = file.render(citationFor(lang));
+  res.set({
+    'Content-Type': file.type,
+    'Content-Disposition': `attachment; filename="generatywnie-${langSlug(lang)}.${req.params.ext}"`,
+    'Cache-Control': 'public, max-age=3600'
+  });
+  if (notModified(req, res, strongEtag(body), responseDate(lang))) {
+    return res.status(304).end();
+  }
+  res.send(body);
+});
 
-Pepliński, Szymon P. "Beyond the Loop: A Critical Framework for Non-Recursive Generative Practice." Generatywnie, 2025. https://generatywnie.com/${lang}/
-`
-  );
+// ── parallel text: /pl/compare/en/ ──
+//    Two languages side by side, paragraph by paragraph, each pair matched on its
+//    locale key and anchored with the page's ids (#s04-p3). Themed with the first
+//    language's variant; the second column keeps the palette but draws the faces
+//    of its own script from the same seed.
+let comparePages = new Map();  // 'lang other' → Promise<page>
+
+const COLUMN_VARS = ['--serif', '--mono', '--body-wt', '--h1-weight'];
+
+function renderComparePage(lang, other) {
+  const seed = resolveSeed();
+  const columns = [lang, other].map(tag => {
+    const info = languageInfo(manifest, tag);
+    const variant = pickVariant(seed, info.script);
+    return { lang: tag, slug: langSlug(tag), info, variant, t: localize(tag) };
+  });
+  const [first, second] = columns;
+  const locals = {
+    lang, langSlug, info: first.info, variant: first.variant, t: first.t, work: WORK, columns,
+    fontFaces: columns.map(c => fontFaceCss(faces, c.lang, c.variant.families)).filter(Boolean).join('\n\n'),
+    columnVars: COLUMN_VARS.map(name => [name, second.variant.vars[name]]),
+    sections: SECTIONS, sectionNumber, blockId
+  };
+  return renderHtml('compare', locals, latest(responseDate(lang), responseDate(other), templateDate('compare')));
+}
+
+function comparePair(req) {
+  const lang = resolveLang(req.params.lang);
+  const other = resolveLang(req.params.other);
+  return lang && other && lang !== other ? [lang, other] : null;
+}
+
+app.get('/:lang/compare/:other/', (req, res, next) => {
+  const pair = comparePair(req);
+  if (!pair) return notFound(req, res, next);
+
+  const [lang, other] = pair;
+  cachePage(comparePages, `${lang} ${other}`, () => renderComparePage(lang, other))
+    .then(page => sendPage(req, res, page))
+    .catch(next);
+});
+
+app.get('/:lang/compare/:other', (req, res, next) => {
+  const pair = comparePair(req);
+  if (!pair) return notFound(req, res, next);
+
+  const [lang, other] = pair;
+  res.redirect(301, `/${langSlug(lang)}/compare/${langSlug(other)}/`);
 });
 
 // ── backward compat: /llms.txt → /en/llms.txt ──
@@ -203,42 +922,321 @@ app.get('/llms.txt', (req, res) => {
   res.redirect(301, '/en/llms.txt');
 });
 
-// ── validate lang format: exactly 2 lowercase letters ──
-const LANG_RE = /^[a-z]{2}$/;
+// ── pre-rendered pages ──
+//    Every language is rendered ahead of time as a small pool of variants, each with
+//    its own seed, and kept in memory with gzip and brotli variants, compressed as
+//    hard as they go since that happens off the request path. Each request draws
+//    one from the pool — skipping the one the visitor already holds — and a fresh
+//    variant is rendered in the background to take the drawn one's place, so the
+//    pool keeps rotating: the default doesn't repeat, and readers without
+//    JavaScript get a new variant too. One refill per language runs at a time;
+//    draws in the meantime leave the pool as it is. ?seed= permalinks — like the cite, compare and other pages
+//    rendered on first request — are compressed while the visitor waits, so at a
+//    low brotli quality, and go into a bounded cache. A locale reload throws all of
+//    them away and re-renders. Each page carries the CSP hashes of its own inline
+//    blocks, so a response is the same for every visitor who draws that variant and
+//    safe for shared caches.
+const POOL_SIZE = 4;
+const SEED_PAGE_LIMIT = 200;
+const PAGE_CACHE = 'public, max-age=3600, stale-while-revalidate=86400';
+// a pool draw is revalidated every time, so a cache can't pin one variant
+const POOL_CACHE = 'public, no-cache';
+const COMPRESS = {
+  gzip: util.promisify(zlib.gzip),
+  br: util.promisify(zlib.brotliCompress)
+};
+const COMPRESS_OPTIONS = {
+  prerendered: {
+    gzip: { level: zlib.constants.Z_BEST_COMPRESSION },
+    br: { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY } }
+  },
+  onDemand: {
+    gzip: { level: zlib.constants.Z_DEFAULT_COMPRESSION },
+    br: { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }
+  }
+};
+
+let pages = new Map();      // 'lang index' → Promise<page>, POOL_SIZE per language
+let seedPages = new Map();  // 'lang seed' → Promise<page>
+
+function renderPage(lang, seed) {
+  const t = localize(lang);
+  const buildDate = contentDate(lang).toISOString().slice(0, 10);
+  const info = languageInfo(manifest, lang);
+  const languages = langs.map(l => languageInfo(manifest, l));
+  const variant = pickVariant(seed, info.script);
+  const fontFaces = fontFaceCss(faces, lang, variant.families);
+
+  const locals = {
+    lang, langs, langSlug, info, languages, variant, fontFaces, t, buildDate,
+    sections: SECTIONS, sectionNumber, blockId, references: bibliography(lang),
+    site: SITE, work: WORK, cite: formatted(citationFor(lang)), citeFiles: CITATION_FILES
+  };
+  return renderHtml('page', locals, latest(responseDate(lang), templateDate('page')))
+    .then(page => ({ seed, ...page }));
+}
+
+// a rendered view in the shape sendPage() serves; the CSP allows only the inline
+// blocks the template marked (lib/csp.js)
+function renderHtml(view, locals, modified) {
+  const marker = inlineMarker();
+  return new Promise((resolve, reject) => {
+    app.render(view, { ...locals, inline: marker }, (err, rendered) => {
+      if (err) return reject(err);
+      const { html, hashes, unmarked } = inlineHashes(rendered, marker);
+      if (unmarked) {
+        log.error(`${view} (${locals.lang}): ${unmarked} inline block(s) not from the template — left out of the CSP`);
+      }
+      resolve({
+        html: Buffer.from(html),
+        hashes,
+        etag: strongEtag(html),
+        modified,
+        encoded: {}
+      });
+    });
+  });
+}
+
+// compressed body, computed once per page and encoding
+function encodePage(page, encoding) {
+  if (!page.encoded[encoding]) {
+    const options = COMPRESS_OPTIONS[page.prerendered ? 'prerendered' : 'onDemand'];
+    page.encoded[encoding] = COMPRESS[encoding](page.html, options[encoding]);
+  }
+  return page.encoded[encoding];
+}
+
+// a failed render is forgotten so the next request tries again
+function cachePage(cache, key, render) {
+  if (!cache.has(key)) {
+    cache.set(key, render().catch(err => {
+      cache.delete(key);
+      throw err;
+    }));
+  }
+  return cache.get(key);
+}
+
+let refills = new Set();    // languages with a refill in flight
+
+// a new variant with a fresh seed, compressed in every encoding before it's served
+function prerenderPage(lang) {
+  return renderPage(lang, resolveSeed())
+    .then(page => ({ ...page, prerendered: true }))
+    .then(page => Promise.all(Object.keys(COMPRESS).map(enc => encodePage(page, enc))).then(() => page));
+}
+
+function poolPages(lang) {
+  return Promise.all(Array.from({ length: POOL_SIZE }, (_, i) => cachePage(pages, `${lang} ${i}`, () => prerenderPage(lang))));
+}
+
+// index of any variant but the ones the visitor's cache already holds (If-None-Match)
+function drawSlot(req, pool) {
+  const held = req.get('If-None-Match') || '';
+  const fresh = pool.map((page, i) => i).filter(i => !held.includes(pool[i].etag.slice(0, -1)));
+  const choices = fresh.length ? fresh : pool.map((page, i) => i);
+  return choices[crypto.randomInt(choices.length)];
+}
+
+// swaps a drawn variant for a new one once it's ready; the old one serves until
+// then, and a locale reload in the meantime discards the result
+function refillSlot(lang, i) {
+  if (refills.has(lang)) return;
+  refills.add(lang);
+  const pool = pages;
+  const key = `${lang} ${i}`;
+  prerenderPage(lang)
+    .then(page => {
+      if (pages === pool) pages.set(key, Promise.resolve(page));
+    })
+    .catch(err => log.error(`Refill ${lang} failed: ${err.message}`))
+    .finally(() => refills.delete(lang));
+}
+
+function prerenderPages() {
+  pages = new Map();
+  refills = new Set();
+  seedPages = new Map();
+  errorPages = new Map();
+  epubs = new Map();
+  citePages = new Map();
+  comparePages = new Map();
+  for (const lang of langs) {
+    poolPages(lang)
+      .catch(err => log.error(`Pre-render ${lang} failed: ${err.message}`));
+  }
+}
+
+function seedPage(lang, seed) {
+  const key = `${lang} ${seed}`;
+  if (!seedPages.has(key) && seedPages.size >= SEED_PAGE_LIMIT) {
+    seedPages.delete(seedPages.keys().next().value);
+  }
+  return cachePage(seedPages, key, () => renderPage(lang, seed));
+}
+
+// each encoding is its own representation, so it gets its own strong ETag
+async function sendPage(req, res, page, cacheControl = PAGE_CACHE) {
+  const encoding = req.acceptsEncodings('br', 'gzip', 'identity');
+  const compressed = Boolean(COMPRESS[encoding]);
+  const etag = compressed ? page.etag.replace(/"$/, `-${encoding}"`) : page.etag;
+
+  res.set({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': cacheControl,
+    'Vary': 'Accept-Encoding'
+  });
+  setCsp(res, page.hashes);
+  if (notModified(req, res, etag, page.modified)) {
+    return res.status(304).end();
+  }
+
+  const body = compressed ? await encodePage(page, encoding) : page.html;
+  if (compressed) res.set('Content-Encoding', encoding);
+  res.send(body);
+}
 
 // ── page route ──
-app.get('/:lang/', (req, res) => {
-  const lang = req.params.lang;
-  if (!LANG_RE.test(lang)) return res.status(404).send('Not found');
-  if (!langs.includes(lang)) {
-    return res.redirect(301, `/${detectLang(req)}/`);
+
+// unknown variant → closest loaded language (pt-br → pt), then the visitor's own.
+// Only a spelling fix (/PL/ → /pl/) is permanent: a fallback holds until the
+// variant itself is loaded, and the visitor's own language is theirs alone.
+function redirectToLang(req, res, tag) {
+  const lang = lookup(tag, langs);
+  if (!lang) {
+    res.set('Vary', PREFERRED_VARY);
+    return res.redirect(302, `/${langSlug(preferredLang(req))}/`);
   }
+  res.redirect(lang === tag ? 301 : 302, `/${langSlug(lang)}/`);
+}
 
-  const locale = translations[lang];
-  const t = (key) => locale[key] || `[MISSING: ${key}]`;
+app.get('/:lang/', (req, res, next) => {
+  const tag = canonicalTag(req.params.lang);
+  if (!tag) return notFound(req, res, next);
 
-  const buildDate = new Date().toISOString().slice(0, 10);
+  const lang = lookup(tag, langs);
+  if (lang !== tag || req.params.lang !== langSlug(lang)) {
+    return redirectToLang(req, res, tag);
+  }
 
-  res.set('Cache-Control', 'public, max-age=3600, stale-while-revalidate=86400');
-  res.render('page', { lang, langs, t, nonce: res.locals.nonce, buildDate });
+  // a malformed ?seed= gets a pool draw, like no seed at all
+  const requested = typeof req.query.seed === 'string' ? req.query.seed.toLowerCase() : '';
+  const page = SEED_RE.test(requested)
+    ? poolPages(lang).then(pool => pool.find(p => p.seed === requested) || seedPage(lang, requested))
+      .then(p => sendPage(req, res, p))
+    : poolPages(lang).then(pool => {
+      const i = drawSlot(req, pool);
+      refillSlot(lang, i);
+      return sendPage(req, res, pool[i], POOL_CACHE);
+    });
+
+  page.catch(next);
 });
 
 // ── trailing slash redirect: /en → /en/ ──
-app.get('/:lang', (req, res) => {
-  const lang = req.params.lang;
-  if (LANG_RE.test(lang)) {
-    return res.redirect(301, `/${lang}/`);
+//    straight to the page the slashed URL would land on, with its status
+app.get('/:lang', (req, res, next) => {
+  const tag = canonicalTag(req.params.lang);
+  if (tag) {
+    return redirectToLang(req, res, tag);
   }
-  res.status(404).send('Not found');
+  notFound(req, res, next);
 });
 
+// ── error pages ──
+//    Themed like the manifesto and in the language of the URL when it names a
+//    loaded one (/pl/nope → Polish), otherwise the visitor's preferred language.
+//    Rendered once per status and language; a locale reload drops them with the pages.
+let errorPages = new Map();  // 'status lang' → Promise<page>
+
+// statuses with their own wording; any other client error reads as a bad request
+const ERROR_TEXTS = [400, 404, 500];
+
+function renderErrorPage(status, lang) {
+  const t = localize(lang);
+  const key = `error.${ERROR_TEXTS.includes(status) ? status : 400}`;
+  const info = languageInfo(manifest, lang);
+  const variant = pickVariant(resolveSeed(), info.script);
+  const fontFaces = fontFaceCss(faces, lang, variant.families);
+
+  return renderHtml('error', { status, key, lang, langSlug, info, variant, fontFaces, t }, null);
+}
+
+// the first path segment, when it resolves to a loaded language
+function urlLang(req) {
+  const tag = canonicalTag(req.path.split('/')[1] || '');
+  return tag ? lookup(tag, langs) : null;
+}
+
+async function sendError(req, res, status) {
+  let lang = urlLang(req);
+  if (!lang) {
+    lang = preferredLang(req);
+    res.set('Vary', PREFERRED_VARY);
+  }
+  const page = await cachePage(errorPages, `${status} ${lang}`, () => renderErrorPage(status, lang));
+  res.set({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  setCsp(res, page.hashes);
+  res.status(status).send(page.html);
+}
+
+function notFound(req, res, next) {
+  sendError(req, res, 404).catch(next);
+}
+
+app.use(notFound);
+
 // ── error handler — no stack traces in production ──
+//    client errors raised by middleware (oversized or malformed bodies, malformed
+//    URL encoding) keep their status and get the themed page like a 404; an error
+//    page that fails to render falls back to plain text
 app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).send('Internal Server Error');
+  const clientError = err.status >= 400 && err.status < 500;
+  if (!clientError) log.error(err.stack, { requestId: req.id });
+  if (res.headersSent) return next(err);
+  const status = clientError ? err.status : 500;
+  sendError(req, res, status).catch(renderErr => {
+    log.error(`Error page failed: ${renderErr.message}`, { requestId: req.id });
+    res.status(status).type('text').send(http.STATUS_CODES[status]);
+  });
 });
 
 // ── start ──
-app.listen(PORT, () => {
-  console.log(`Generatywnie running on port ${PORT}`);
-});
+prerenderPages();
+
+// ── graceful shutdown ──
+//    SIGTERM (Cloud Run scale-down, deploys): fail readiness, stop accepting, let
+//    in-flight requests finish, then exit — or give up after DRAIN_TIMEOUT_MS
+function shutdown(server, signal) {
+  if (draining) return;
+  draining = true;
+  log.info(`${signal} — draining connections`);
+  if (localeWatcher) localeWatcher.close();
+
+  server.close(() => {
+    log.info('Drained — exiting');
+    process.exit(0);
+  });
+  server.closeIdleConnections();
+  setTimeout(() => {
+    log.warn(`Drain timed out after ${DRAIN_TIMEOUT_MS} ms — exiting`);
+    process.exit(0);
+  }, DRAIN_TIMEOUT_MS).unref();
+}
+
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    log.info(`Generatywnie running on port ${PORT}`);
+  });
+  process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+  process.on('SIGINT', () => shutdown(server, 'SIGINT'));
+}
+
+module.exports = {
+  app,
+  loadedLangs: () => langs
+};